@@ -4,6 +4,8 @@ let periods = [];
 let map = null;
 let currentMapData = null;
 let isProcessingFile = false;
+let currentParseJob = null;
+let loadedSources = [];
 
 // Map matching configuration
 let mapboxConfig = {
@@ -270,8 +272,18 @@ document.addEventListener('DOMContentLoaded', function() {
     initializeTabs();
     initializeFileUpload();
     initializePeriodManagement();
+    initializeDisplayTimeZone();
     initializeProcessing();
+    initializeOutputFormats();
+    initializeActivityPalette();
+    initializeCleaningSettings();
+    initializeSimplification();
+    initializePrivacyZones();
+    initializeTickmarks();
+    initializeTrackColoring();
     initializeMap();
+    initializePlayback();
+    initializeHeatmap();
     initializeMapboxConfig();
     console.log('Application initialized successfully!');
 });
@@ -302,7 +314,9 @@ function switchTab(tabName) {
             initializeMapContainer();
         }
         // Ensure a period is selected
-        if (periods.length > 0) {
+        if (periods.length > 0 && periodSelector.value === 'all') {
+            loadAllPeriodsOverlay();
+        } else if (periods.length > 0) {
             if (!periodSelector.value) periodSelector.value = String(periods[0].id);
             const selectedId = parseInt(periodSelector.value);
             const selPeriod = periods.find(p => p.id === selectedId) || periods[0];
@@ -324,6 +338,8 @@ function initializeFileUpload() {
     
     // File input change
     fileInput.addEventListener('change', handleFileSelect);
+    document.getElementById('cancelParseBtn').addEventListener('click', cancelFileParsing);
+    document.getElementById('loadZipFilesBtn').addEventListener('click', loadSelectedZipFiles);
     
     // Drag and drop
     fileUploadArea.addEventListener('dragover', handleDragOver);
@@ -337,10 +353,15 @@ function initializeFileUpload() {
 
 function handleFileSelect(event) {
     console.log('handleFileSelect called - File selected:', event.target.files, 'isProcessingFile:', isProcessingFile);
-    const file = event.target.files[0];
-    if (file && !isProcessingFile) {
-        console.log('Processing selected file:', file.name);
-        processFile(file);
+    const files = Array.from(event.target.files);
+    if (files.length > 0 && !isProcessingFile) {
+        console.log('Processing selected files:', files.map(f => f.name));
+        const zipFile = files.find(file => file.name.toLowerCase().endsWith('.zip'));
+        if (zipFile) {
+            openTakeoutZip(zipFile);
+        } else {
+            processFiles(files);
+        }
     } else if (isProcessingFile) {
         console.log('File already being processed, ignoring selection');
     } else {
@@ -357,125 +378,963 @@ function handleDrop(event) {
     event.preventDefault();
     fileUploadArea.classList.remove('dragover');
     
-    const files = event.dataTransfer.files;
+    const files = Array.from(event.dataTransfer.files);
     if (files.length > 0 && !isProcessingFile) {
-        const file = files[0];
-        if (file.name.endsWith('.json')) {
+        const jsonFiles = files.filter(file => file.name.endsWith('.json'));
+        const zipFile = files.find(file => file.name.toLowerCase().endsWith('.zip'));
+        if (zipFile) {
+            openTakeoutZip(zipFile);
+        } else if (jsonFiles.length > 0) {
             fileInput.files = event.dataTransfer.files;
-            processFile(file);
+            processFiles(jsonFiles);
         } else {
-            showError('Please select a valid JSON file.');
+            showError('Please select a valid JSON file or Google Takeout ZIP archive.');
         }
     } else if (isProcessingFile) {
         console.log('File already being processed, ignoring drop');
     }
 }
 
+// Google Takeout ZIP archives
+let currentTakeoutZip = null;
+
+// Classify a path inside a Takeout archive; returns a label for location files, otherwise null
+function classifyTakeoutEntry(path) {
+    if (/Semantic Location History\/\d{4}\/\d{4}_[A-Z]+\.json$/i.test(path)) return 'Semantic Location History';
+    if (/(^|\/)Records\.json$/i.test(path)) return 'Records';
+    if (/(^|\/)Timeline\.json$/i.test(path)) return 'Timeline';
+    if (/(^|\/)location-history\.json$/i.test(path)) return 'Location History';
+    return null;
+}
+
+// Unzip a Takeout archive in the browser and list the location files it contains
+function openTakeoutZip(file) {
+    if (typeof JSZip === 'undefined') {
+        showError('ZIP library failed to load. Check your internet connection and reload the page.');
+        return;
+    }
+    
+    isProcessingFile = true;
+    const parseStatus = document.getElementById('parseStatus');
+    document.getElementById('parseProgressFill').style.width = '0%';
+    document.getElementById('parseProgressText').textContent = `Opening ${file.name}...`;
+    parseStatus.style.display = 'block';
+    
+    JSZip.loadAsync(file)
+        .then(zip => {
+            const entries = [];
+            zip.forEach((path, entry) => {
+                const kind = entry.dir ? null : classifyTakeoutEntry(path);
+                if (kind) entries.push({ path, kind });
+            });
+            entries.sort((a, b) => a.path.localeCompare(b.path));
+            
+            if (entries.length === 0) {
+                showError('No location history files found in this archive. Expected Records.json, Timeline.json or Semantic Location History files.');
+                return;
+            }
+            
+            currentTakeoutZip = { zip, name: file.name, entries };
+            renderTakeoutZipContents();
+        })
+        .catch(error => {
+            showError('Could not read ZIP archive: ' + error.message);
+            console.error('ZIP reading error:', error);
+        })
+        .finally(() => {
+            parseStatus.style.display = 'none';
+            isProcessingFile = false;
+        });
+}
+
+function renderTakeoutZipContents() {
+    const container = document.getElementById('zipContents');
+    const list = document.getElementById('zipFileList');
+    const { entries, name } = currentTakeoutZip;
+    
+    // Raw and on-device exports already cover everything, so only pre-select the monthly files when they are alone
+    const hasFullHistory = entries.some(entry => entry.kind !== 'Semantic Location History');
+    
+    document.getElementById('zipArchiveName').textContent = name;
+    list.innerHTML = '';
+    entries.forEach((entry, index) => {
+        const checked = !hasFullHistory || entry.kind !== 'Semantic Location History';
+        const item = document.createElement('label');
+        item.className = 'checkbox-item';
+        item.innerHTML = `
+            <input type="checkbox" id="zipEntry_${index}" ${checked ? 'checked' : ''}>
+            <span><strong>${entry.kind}:</strong> ${escapeXML(entry.path)}</span>
+        `;
+        list.appendChild(item);
+    });
+    
+    container.style.display = 'block';
+}
+
+function loadSelectedZipFiles() {
+    if (!currentTakeoutZip || isProcessingFile) return;
+    
+    const selected = currentTakeoutZip.entries.filter((entry, index) => {
+        const checkbox = document.getElementById(`zipEntry_${index}`);
+        return checkbox && checkbox.checked;
+    });
+    if (selected.length === 0) {
+        showError('Please select at least one file to load.');
+        return;
+    }
+    
+    // Extracting a large Records.json takes a while, so show progress and
+    // block a second load until it is done
+    isProcessingFile = true;
+    const parseStatus = document.getElementById('parseStatus');
+    const parseProgressFill = document.getElementById('parseProgressFill');
+    const parseProgressText = document.getElementById('parseProgressText');
+    parseProgressFill.style.width = '0%';
+    parseProgressText.textContent = `Extracting ${selected.length === 1 ? selected[0].path : `${selected.length} files`}...`;
+    parseStatus.style.display = 'block';
+    
+    const { zip } = currentTakeoutZip;
+    const percents = selected.map(() => 0);
+    Promise.all(selected.map((entry, index) =>
+        zip.file(entry.path).async('blob', metadata => {
+            percents[index] = metadata.percent;
+            parseProgressFill.style.width = (percents.reduce((sum, percent) => sum + percent, 0) / percents.length) + '%';
+        }).then(blob => new File([blob], entry.path.split('/').pop(), { type: 'application/json' }))
+    ))
+        .then(files => {
+            // processFiles() takes over the flag and the status box
+            isProcessingFile = false;
+            document.getElementById('zipContents').style.display = 'none';
+            processFiles(files);
+        })
+        .catch(error => {
+            isProcessingFile = false;
+            parseStatus.style.display = 'none';
+            showError('Could not extract files from the archive: ' + error.message);
+            console.error('ZIP extraction error:', error);
+        });
+}
+
 function processFile(file) {
+    processFiles([file]);
+}
+
+// Parse one or more files (e.g. a year of Semantic Location History months) into one dataset
+function processFiles(files) {
     if (isProcessingFile) {
         console.log('File already being processed, skipping...');
         return;
     }
     
     isProcessingFile = true;
-    console.log('Processing file:', file.name, 'Size:', file.size);
+    const totalSize = files.reduce((sum, file) => sum + file.size, 0);
+    console.log('Processing files:', files.map(f => f.name), 'Size:', totalSize);
     
     // Show file info
-    document.getElementById('fileName').textContent = file.name;
-    document.getElementById('fileSize').textContent = formatFileSize(file.size);
+    document.getElementById('fileName').textContent = files.length === 1 ? files[0].name : `${files.length} files`;
+    document.getElementById('fileSize').textContent = formatFileSize(totalSize);
     
     // Show warning for large files
-    if (file.size > 100 * 1024 * 1024) { // 100MB
+    if (totalSize > 100 * 1024 * 1024) { // 100MB
         document.getElementById('fileWarning').style.display = 'block';
     } else {
         document.getElementById('fileWarning').style.display = 'none';
     }
     
-    // Read and parse file
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        console.log('File read successfully, parsing JSON...');
-        try {
-            locationData = JSON.parse(e.target.result);
-            console.log('JSON parsed successfully, analyzing data...');
-            analyzeLocationData();
+    // Read and parse the files in slices off the main thread
+    const parseStatus = document.getElementById('parseStatus');
+    const parseProgressFill = document.getElementById('parseProgressFill');
+    const parseProgressText = document.getElementById('parseProgressText');
+    parseStatus.style.display = 'block';
+    parseProgressFill.style.width = '0%';
+    parseProgressText.textContent = 'Reading file...';
+    
+    currentParseJob = parseLocationFiles(files, ({ chunk, totalChunks, fileIndex, fileCount, fileName }) => {
+        const fileProgress = (fileIndex - 1 + chunk / totalChunks) / fileCount;
+        parseProgressFill.style.width = (fileProgress * 100) + '%';
+        parseProgressText.textContent = fileCount === 1
+            ? `Processing chunk ${chunk} of ${totalChunks}...`
+            : `File ${fileIndex} of ${fileCount} (${fileName}): processing chunk ${chunk} of ${totalChunks}...`;
+    });
+    
+    currentParseJob.promise
+        .then(results => {
+            const merge = document.getElementById('mergeFiles').checked && loadedSources.length > 0 && window.convertedLocations;
+            const previousSources = merge ? loadedSources : [];
+            
+            // Tag every point with the (unique) name of the file it came from;
+            // files in one batch can share a name too, e.g. from different ZIP folders
+            const takenNames = new Set(previousSources.map(source => source.name));
+            const newSources = results.map(result => {
+                let name = result.file.name;
+                for (let n = 2; takenNames.has(name); n++) {
+                    name = `${result.file.name} (${n})`;
+                }
+                takenNames.add(name);
+                const locations = decodeLocationColumns(result.columns);
+                locations.forEach(loc => { loc.sourceFile = name; });
+                return { name, format: result.format, parsedCount: locations.length, locations };
+            });
+            
+            const formats = [...new Set([...previousSources, ...newSources].map(source => source.format))];
+            const format = formats.length === 1 ? formats[0] : 'mixed';
+            console.log(`Parsed ${format} location data from ${results.length} file(s), analyzing...`);
+            
+            let locations = newSources[0].locations;
+            if (merge || newSources.length > 1) {
+                const lists = newSources.map(source => source.locations);
+                if (merge) lists.unshift(window.convertedLocations);
+                locations = mergeLocationSources(lists);
+            }
+            
+            if (!analyzeLocationData(locations)) return;
+            loadedSources = [...previousSources, ...newSources.map(({ name, format, parsedCount }) => ({ name, format, parsedCount }))];
+            locationData = { format, locations };
+            renderSourceFilesInfo(locations);
+            if (merge) {
+                document.getElementById('fileName').textContent = `${loadedSources.length} files (merged)`;
+            }
             document.getElementById('fileInfo').style.display = 'block';
             
             // Enable next tab
             enableTab('dates');
             
-            // Auto-populate first period with full date range
-            const locations = window.convertedLocations || locationData.locations;
-            if (locations && locations.length > 0) {
-                console.log('Creating default period with', locations.length, 'locations');
-                createDefaultPeriod();
-            } else {
-                console.log('No locations found, skipping default period creation');
+            // Auto-populate first period with full date range, unless merging
+            // into data whose periods are already set up
+            if (merge && periods.length > 0) {
+                resetAutoSplitRange();
+                return;
             }
-        } catch (error) {
-            showError('Invalid JSON file. Please check the file format.');
-            console.error('JSON parsing error:', error);
-        } finally {
-            // Small delay to ensure UI updates before allowing new uploads
-            setTimeout(() => {
-                isProcessingFile = false;
-            }, 100);
-        }
-    };
+            console.log('Creating default period with', locations.length, 'locations');
+            createDefaultPeriod();
+        })
+        .catch(error => {
+            if (error.cancelled) {
+                showNotification('File loading cancelled', 'info');
+                return;
+            }
+            showError(error.message || 'Invalid JSON file. Please check the file format.');
+            console.error('File parsing error:', error);
+        })
+        .finally(() => {
+            currentParseJob = null;
+            parseStatus.style.display = 'none';
+            isProcessingFile = false;
+        });
+}
+
+// Points from different files closer than this in time and space are treated as the same fix
+const MERGE_DEDUPE_TIME_MS = 60 * 1000;
+const MERGE_DEDUPE_DISTANCE_M = 50;
+
+// Merge several location lists into one time-sorted list, dropping points that
+// another file already recorded at (nearly) the same time and place
+function mergeLocationSources(locationLists) {
+    const all = [].concat(...locationLists);
+    all.sort((a, b) => parseInt(a.timestampMs || a.timestamp) - parseInt(b.timestampMs || b.timestamp));
     
-    reader.onerror = function() {
-        console.error('Error reading file');
-        showError('Error reading file. Please try again.');
-        isProcessingFile = false;
-    };
+    const kept = [];
+    let windowStart = 0;
+    let removed = 0;
+    
+    for (const loc of all) {
+        const ts = parseInt(loc.timestampMs || loc.timestamp);
+        while (windowStart < kept.length && ts - parseInt(kept[windowStart].timestampMs || kept[windowStart].timestamp) > MERGE_DEDUPE_TIME_MS) {
+            windowStart++;
+        }
+        
+        let duplicateIndex = -1;
+        for (let i = windowStart; i < kept.length; i++) {
+            const other = kept[i];
+            if (other.sourceFile === loc.sourceFile) continue;
+            const distance = haversineDistanceMeters(
+                loc.latitudeE7 / 1e7, loc.longitudeE7 / 1e7,
+                other.latitudeE7 / 1e7, other.longitudeE7 / 1e7
+            );
+            if (distance <= MERGE_DEDUPE_DISTANCE_M) {
+                duplicateIndex = i;
+                break;
+            }
+        }
+        
+        if (duplicateIndex === -1) {
+            kept.push(loc);
+        } else {
+            // Visits carry place metadata, so they win over plain fixes. No kept
+            // point is later than the visit, so moving it to the end keeps time order.
+            if (loc.source === 'visit' && kept[duplicateIndex].source !== 'visit') {
+                kept.splice(duplicateIndex, 1);
+                kept.push(loc);
+            }
+            removed++;
+        }
+    }
     
-    reader.readAsText(file);
+    console.log(`Merged ${locationLists.length} sources: ${kept.length} points kept, ${removed} cross-file duplicates removed`);
+    return kept;
 }
 
-function analyzeLocationData() {
-    console.log('Analyzing location data...', typeof locationData, Array.isArray(locationData));
+// Per-file point counts and date ranges in the file info panel
+function renderSourceFilesInfo(locations) {
+    const container = document.getElementById('sourceFilesInfo');
+    const table = document.getElementById('sourceFilesTable');
     
-    // Check if it's the standard format or the activity-based format
-    let locations = null;
-    let isStandardFormat = false;
-    
-    if (locationData.locations && Array.isArray(locationData.locations)) {
-        // Standard format with locations array
-        locations = locationData.locations;
-        isStandardFormat = true;
-        console.log('Detected standard location data format with', locations.length, 'locations');
-    } else if (Array.isArray(locationData)) {
-        // Activity-based format - convert on the fly
-        console.log('Detected activity-based location data format with', locationData.length, 'records - converting...');
-        locations = convertActivityBasedData(locationData);
-        isStandardFormat = false;
-    } else {
-        console.error('Invalid location data format:', locationData);
-        showError('Invalid location data format. Expected "locations" array or activity-based array.');
+    if (loadedSources.length < 2) {
+        container.style.display = 'none';
         return;
     }
     
+    const stats = {};
+    loadedSources.forEach(source => {
+        stats[source.name] = { count: 0, minMs: Infinity, maxMs: -Infinity };
+    });
+    for (const loc of locations) {
+        const stat = stats[loc.sourceFile];
+        if (!stat) continue;
+        const ts = parseInt(loc.timestampMs || loc.timestamp);
+        stat.count++;
+        if (ts < stat.minMs) stat.minMs = ts;
+        if (ts > stat.maxMs) stat.maxMs = ts;
+    }
+    
+    table.innerHTML = `
+        <tr><th>File</th><th>Format</th><th>Points kept / parsed</th><th>Date Range</th></tr>
+        ${loadedSources.map(source => {
+            const stat = stats[source.name];
+            const range = stat.count > 0
+                ? `${formatDisplayDate(stat.minMs)} to ${formatDisplayDate(stat.maxMs)}`
+                : '—';
+            return `<tr>
+                <td>${escapeXML(source.name)}</td>
+                <td>${source.format}</td>
+                <td>${stat.count.toLocaleString()} / ${source.parsedCount.toLocaleString()}</td>
+                <td>${range}</td>
+            </tr>`;
+        }).join('')}
+    `;
+    container.style.display = 'block';
+}
+
+function cancelFileParsing() {
+    if (currentParseJob) {
+        currentParseJob.cancel();
+    }
+}
+
+function analyzeLocationData(locations) {
     if (!locations || locations.length === 0) {
         showError('No location data found in the file.');
-        return;
+        return false;
     }
     
     document.getElementById('totalRecords').textContent = locations.length.toLocaleString();
     
-    // Find date range
-    const timestamps = locations.map(loc => loc.timestampMs || loc.timestamp);
-    const dates = timestamps.map(ts => new Date(parseInt(ts)));
-    const minDate = new Date(Math.min(...dates));
-    const maxDate = new Date(Math.max(...dates));
-    
-    document.getElementById('dateRange').textContent = 
-        `${minDate.toLocaleDateString()} to ${maxDate.toLocaleDateString()}`;
+    // Find date range (a loop rather than Math.min(...) so huge files don't overflow the stack)
+    let minMs = Infinity;
+    let maxMs = -Infinity;
+    for (const loc of locations) {
+        const ts = parseInt(loc.timestampMs || loc.timestamp);
+        if (ts < minMs) minMs = ts;
+        if (ts > maxMs) maxMs = ts;
+    }
+    const minDate = new Date(minMs);
+    const maxDate = new Date(maxMs);
     
-    // Store global date range and converted locations
+    // Store global date range, converted locations and the usual recorded UTC offset
     window.globalDateRange = { min: minDate, max: maxDate };
     window.convertedLocations = locations;
+    window.recordedOffsetMinutes = computeRecordedOffset(locations);
+    
+    document.getElementById('dateRange').textContent = 
+        `${formatDisplayDate(minMs)} to ${formatDisplayDate(maxMs)}`;
     
     console.log(`Successfully processed ${locations.length} location points`);
+    return true;
+}
+
+// Streaming file parsing
+// The parser functions below are also serialized into a Web Worker, so they
+// must only reference each other and browser globals available in workers.
+
+const PARSE_CHUNK_SIZE = 4 * 1024 * 1024; // 4MB slices
+
+// Start parsing a File in a Web Worker.
+// Returns { promise, cancel }; the promise resolves to { format, columns }.
+function parseLocationFile(file, onProgress) {
+    let worker = null;
+    let workerUrl = null;
+    let rejectJob = null;
+    
+    const cleanup = () => {
+        if (worker) worker.terminate();
+        if (workerUrl) URL.revokeObjectURL(workerUrl);
+        worker = null;
+        workerUrl = null;
+    };
+    
+    const promise = new Promise((resolve, reject) => {
+        rejectJob = reject;
+        
+        // Fall back to parsing on the main thread when workers are unavailable
+        if (typeof Worker === 'undefined') {
+            parseLocationBlob(file, PARSE_CHUNK_SIZE, onProgress).then(resolve, reject);
+            return;
+        }
+        
+        const source = [
+            createJSONRecordScanner,
+            createLocationColumnBuilder,
+            standardizeRecordsLocation,
+            extractPathLatLngsFromActivity,
+            convertActivityBasedData,
+            sortAndDedupeLocations,
+            normalizeSemanticType,
+            buildVisitMeta,
+            parseLatLngString,
+            normalizeActivityType,
+            convertTimelineSegments,
+            convertTimelineRawSignal,
+            parseSemanticTimestamp,
+            parseTimestampMs,
+            parseTimestampOffsetMinutes,
+            convertSemanticTimelineObjects,
+            parseLocationBlob,
+            locationParserWorkerMain
+        ].map(fn => fn.toString()).join('\n\n') + '\n\nlocationParserWorkerMain(self);';
+        workerUrl = URL.createObjectURL(new Blob([source], { type: 'application/javascript' }));
+        worker = new Worker(workerUrl);
+        
+        worker.onmessage = event => {
+            const message = event.data;
+            if (message.type === 'progress') {
+                onProgress(message);
+            } else if (message.type === 'done') {
+                cleanup();
+                resolve({ format: message.format, columns: message.columns });
+            } else if (message.type === 'error') {
+                cleanup();
+                reject(new Error(message.message));
+            }
+        };
+        worker.onerror = event => {
+            cleanup();
+            reject(new Error(event.message || 'Error reading file. Please try again.'));
+        };
+        worker.postMessage({ file, chunkSize: PARSE_CHUNK_SIZE });
+    });
+    
+    const cancel = () => {
+        cleanup();
+        const error = new Error('File loading cancelled');
+        error.cancelled = true;
+        rejectJob(error);
+    };
+    
+    return { promise, cancel };
+}
+
+// Parse several files one after another. Returns { promise, cancel };
+// the promise resolves to [{ file, format, columns }, ...].
+function parseLocationFiles(files, onProgress) {
+    let cancelled = false;
+    let currentJob = null;
+    
+    const promise = (async () => {
+        const results = [];
+        for (let i = 0; i < files.length && !cancelled; i++) {
+            const file = files[i];
+            currentJob = parseLocationFile(file, progress => onProgress({
+                chunk: progress.chunk,
+                totalChunks: progress.totalChunks,
+                fileIndex: i + 1,
+                fileCount: files.length,
+                fileName: file.name
+            }));
+            try {
+                const result = await currentJob.promise;
+                results.push({ file, format: result.format, columns: result.columns });
+            } catch (error) {
+                if (!error.cancelled && files.length > 1) error.message = `${file.name}: ${error.message}`;
+                throw error;
+            }
+        }
+        return results;
+    })();
+    
+    const cancel = () => {
+        cancelled = true;
+        if (currentJob) currentJob.cancel();
+    };
+    
+    return { promise, cancel };
+}
+
+// Worker entry point: parse the posted File and send the columns back as transferables
+function locationParserWorkerMain(scope) {
+    scope.onmessage = async event => {
+        const { file, chunkSize } = event.data;
+        try {
+            const result = await parseLocationBlob(file, chunkSize, progress => {
+                scope.postMessage({ type: 'progress', chunk: progress.chunk, totalChunks: progress.totalChunks });
+            });
+            const columns = result.columns;
+            const transfer = [columns.latitudeE7.buffer, columns.longitudeE7.buffer, columns.timestampMs.buffer];
+            Object.values(columns.fields).forEach(field => {
+                transfer.push(field.type === 'number' ? field.values.buffer : field.codes.buffer);
+            });
+            scope.postMessage({ type: 'done', format: result.format, columns }, transfer);
+        } catch (error) {
+            scope.postMessage({ type: 'error', message: error.message });
+        }
+    };
+}
+
+// Read a Blob slice by slice, stream records out of it and build location columns
+async function parseLocationBlob(blob, chunkSize, onProgress) {
+    const totalChunks = Math.max(1, Math.ceil(blob.size / chunkSize));
+    const decoder = new TextDecoder('utf-8');
+    const builder = createLocationColumnBuilder();
+    const activityRecords = [];
+    const semanticSegments = [];
+    const timelineObjects = [];
+    let format = null;
+    
+    const scanner = createJSONRecordScanner((key, value, inArray) => {
+        if (key === null && inArray) {
+            // Top-level array of activity/visit records
+            format = format || 'activity';
+            activityRecords.push(value);
+        } else if (key === 'locations' && inArray) {
+            // Records.json: { "locations": [ ... ] }
+            format = format || 'standard';
+            const loc = standardizeRecordsLocation(value);
+            if (loc) builder.push(loc);
+        } else if (key === 'semanticSegments' && inArray) {
+            // On-device Timeline.json: segments are converted together at the end
+            format = 'timeline';
+            semanticSegments.push(value);
+        } else if (key === 'timelineObjects' && inArray) {
+            // Semantic Location History monthly file
+            format = 'semantic';
+            timelineObjects.push(value);
+        } else if (key === 'rawSignals' && inArray) {
+            // Raw position fixes can be numerous, so convert them as they stream past
+            format = 'timeline';
+            const loc = convertTimelineRawSignal(value);
+            if (loc) builder.push(loc);
+        }
+    });
+    
+    for (let chunk = 0; chunk < totalChunks; chunk++) {
+        const buffer = await blob.slice(chunk * chunkSize, (chunk + 1) * chunkSize).arrayBuffer();
+        scanner.write(decoder.decode(buffer, { stream: chunk < totalChunks - 1 }));
+        onProgress({ chunk: chunk + 1, totalChunks });
+    }
+    scanner.end();
+    
+    if (!format) {
+        throw new Error('Invalid location data format. Expected "locations" array, activity-based array, Timeline "semanticSegments" or Semantic Location History "timelineObjects".');
+    }
+    if (format === 'activity') {
+        convertActivityBasedData(activityRecords).forEach(loc => builder.push(loc));
+    } else if (format === 'timeline') {
+        convertTimelineSegments(semanticSegments).forEach(loc => builder.push(loc));
+    } else if (format === 'semantic') {
+        convertSemanticTimelineObjects(timelineObjects).forEach(loc => builder.push(loc));
+    }
+    
+    return { format, columns: builder.finish() };
+}
+
+// Epoch milliseconds from digits or an ISO 8601 string. An explicit offset
+// ("+08:00", "-0500", "Z") is applied, so the result is always UTC; strings
+// without one are read as browser-local time. NaN when unparseable.
+function parseTimestampMs(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || !value) return NaN;
+    if (/^\d+$/.test(value)) return parseInt(value);
+    
+    const match = /^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}(?::?\d{2})?)?$/i.exec(value.trim());
+    if (!match) return Date.parse(value);
+    
+    const [, year, month, day, hour, minute, second = '0', fraction = '0', zone] = match;
+    // Fractions beyond milliseconds (microseconds in some exports) are truncated
+    const millis = parseInt((fraction + '00').slice(0, 3));
+    if (!zone) {
+        return new Date(+year, month - 1, +day, +hour, +minute, +second, millis).getTime();
+    }
+    const utcMs = Date.UTC(+year, month - 1, +day, +hour, +minute, +second, millis);
+    const offset = parseTimestampOffsetMinutes(value.trim());
+    return utcMs - (offset || 0) * 60000;
+}
+
+// Offset in minutes east of UTC of an ISO 8601 string with an explicit
+// numeric offset; null for "Z" or no offset, since the recording zone is unknown
+function parseTimestampOffsetMinutes(value) {
+    if (typeof value !== 'string') return null;
+    const match = /T.*([+-])(\d{2})(?::?(\d{2}))?$/i.exec(value);
+    if (!match) return null;
+    const minutes = parseInt(match[2]) * 60 + parseInt(match[3] || '0');
+    return match[1] === '-' ? -minutes : minutes;
+}
+
+// Read "startTimestamp" (ISO) or the older "startTimestampMs" from a Semantic Location History duration
+function parseSemanticTimestamp(duration, prefix) {
+    if (!duration) return NaN;
+    if (duration[`${prefix}TimestampMs`]) return parseInt(duration[`${prefix}TimestampMs`]);
+    return parseTimestampMs(duration[`${prefix}Timestamp`]);
+}
+
+// Convert legacy Semantic Location History monthly files (timelineObjects with
+// activitySegment / placeVisit). Timed simplifiedRawPath points are used as-is;
+// untimed waypointPath points are spread evenly across the segment duration.
+function convertSemanticTimelineObjects(timelineObjects) {
+    const standardLocations = [];
+
+    const pushPoint = (lat, lon, ts, meta) => {
+        if (!isFinite(lat) || !isFinite(lon) || !isFinite(ts)) return;
+        if (Math.abs(lat) > 90 || Math.abs(lon) > 180) return;
+        standardLocations.push({
+            latitudeE7: Math.round(lat * 10000000),
+            longitudeE7: Math.round(lon * 10000000),
+            timestampMs: String(ts),
+            ...meta
+        });
+    };
+    const pushE7 = (location, ts, meta) => {
+        if (location && typeof location.latitudeE7 === 'number' && typeof location.longitudeE7 === 'number') {
+            pushPoint(location.latitudeE7 / 1e7, location.longitudeE7 / 1e7, ts, meta);
+        }
+    };
+
+    for (const object of timelineObjects) {
+        if (!object || typeof object !== 'object') continue;
+
+        if (object.activitySegment) {
+            const segment = object.activitySegment;
+            const startTs = parseSemanticTimestamp(segment.duration, 'start');
+            const endTs = parseSemanticTimestamp(segment.duration, 'end');
+            const meta = { source: 'activity_path', activityType: normalizeActivityType(segment.activityType) };
+
+            const rawPoints = (segment.simplifiedRawPath && Array.isArray(segment.simplifiedRawPath.points))
+                ? segment.simplifiedRawPath.points.filter(p => p && (p.timestampMs || p.timestamp))
+                : [];
+
+            pushE7(segment.startLocation, startTs, meta);
+            if (rawPoints.length > 0) {
+                for (const p of rawPoints) {
+                    const ts = p.timestampMs ? parseInt(p.timestampMs) : parseTimestampMs(p.timestamp);
+                    const pointMeta = typeof p.accuracyMeters === 'number' ? { ...meta, accuracy: p.accuracyMeters } : meta;
+                    pushPoint(p.latE7 / 1e7, p.lngE7 / 1e7, ts, pointMeta);
+                }
+            } else {
+                const path = extractPathLatLngsFromActivity({ waypointPath: segment.waypointPath });
+                const totalMs = Math.max(1, endTs - startTs);
+                path.forEach((p, i) => {
+                    pushPoint(p.lat, p.lon, Math.round(startTs + (totalMs * (i + 1)) / (path.length + 1)), meta);
+                });
+            }
+            pushE7(segment.endLocation, endTs, meta);
+        } else if (object.placeVisit) {
+            const visit = object.placeVisit;
+            const location = visit.location || {};
+            const startTs = parseSemanticTimestamp(visit.duration, 'start');
+            const meta = buildVisitMeta({
+                placeId: location.placeId,
+                semanticType: location.semanticType,
+                probability: typeof visit.visitConfidence === 'number' ? visit.visitConfidence / 100 : undefined,
+                endTs: parseSemanticTimestamp(visit.duration, 'end'),
+                placeName: location.name,
+                placeAddress: location.address
+            });
+
+            if (typeof location.latitudeE7 === 'number') {
+                pushE7(location, startTs, meta);
+            } else if (typeof visit.centerLatE7 === 'number') {
+                pushPoint(visit.centerLatE7 / 1e7, visit.centerLngE7 / 1e7, startTs, meta);
+            }
+        }
+    }
+
+    const deduped = sortAndDedupeLocations(standardLocations);
+    console.log(`Converted ${deduped.length} location points from Semantic Location History`);
+    return deduped;
+}
+
+// Incremental JSON scanner. Feed it text with write(); it calls
+// onRecord(key, value, inArray) for every element of a top-level array
+// (key = null), every element of an array under a top-level key, and every
+// other top-level value. Only one record is ever held as text at a time.
+function createJSONRecordScanner(onRecord) {
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let topType = null;
+    let key = null;
+    let keyText = null;       // non-null while reading a top-level key
+    let expectValue = false;  // next non-whitespace char starts a value
+    let arrayDepth = -1;      // depth of the array whose elements are records
+    let captureText = null;   // non-null while capturing a record
+    let captureDepth = -1;
+    let capturePrimitive = false;
+    
+    const emit = text => {
+        onRecord(topType === '[' ? null : key, JSON.parse(text), arrayDepth !== -1);
+    };
+    
+    function write(chunk) {
+        let keyStart = keyText !== null ? 0 : -1;
+        let captureStart = captureText !== null ? 0 : -1;
+        
+        for (let i = 0; i < chunk.length; i++) {
+            const c = chunk[i];
+            
+            if (inString) {
+                if (escaped) {
+                    escaped = false;
+                } else if (c === '\\') {
+                    escaped = true;
+                } else if (c === '"') {
+                    inString = false;
+                    if (keyText !== null) {
+                        key = JSON.parse('"' + keyText + chunk.slice(keyStart, i) + '"');
+                        keyText = null;
+                        keyStart = -1;
+                    }
+                }
+                continue;
+            }
+            
+            // Primitive records end at the next structural character
+            if (captureText !== null && capturePrimitive && (c === ',' || c === ']' || c === '}')) {
+                emit((captureText + chunk.slice(captureStart, i)).trim());
+                captureText = null;
+                captureStart = -1;
+            }
+            
+            if (expectValue && c !== ' ' && c !== '\n' && c !== '\r' && c !== '\t') {
+                expectValue = false;
+                if (c === '[' && topType === '{' && depth === 1) {
+                    // Array under a top-level key: its elements are the records
+                    depth++;
+                    arrayDepth = 2;
+                    expectValue = true;
+                    continue;
+                }
+                if (c !== ']') {
+                    captureText = '';
+                    captureStart = i;
+                    captureDepth = depth;
+                    capturePrimitive = c !== '{' && c !== '[';
+                }
+            }
+            
+            switch (c) {
+                case '"':
+                    inString = true;
+                    if (captureText === null && topType === '{' && depth === 1) {
+                        keyText = '';
+                        keyStart = i + 1;
+                    }
+                    break;
+                case '{':
+                case '[':
+                    depth++;
+                    if (depth === 1) {
+                        topType = c;
+                        if (c === '[') {
+                            arrayDepth = 1;
+                            expectValue = true;
+                        }
+                    }
+                    break;
+                case '}':
+                case ']':
+                    depth--;
+                    if (depth < 0) throw new SyntaxError('Unexpected closing bracket in JSON');
+                    if (captureText !== null && !capturePrimitive && depth === captureDepth) {
+                        emit(captureText + chunk.slice(captureStart, i + 1));
+                        captureText = null;
+                        captureStart = -1;
+                    } else if (captureText === null && topType === '{' && depth === 1 && arrayDepth === 2) {
+                        arrayDepth = -1;
+                    }
+                    break;
+                case ',':
+                    if (captureText === null && depth === arrayDepth) expectValue = true;
+                    break;
+                case ':':
+                    if (captureText === null && topType === '{' && depth === 1) expectValue = true;
+                    break;
+            }
+        }
+        
+        // Carry partial keys and records over to the next chunk
+        if (keyText !== null) keyText += chunk.slice(keyStart);
+        if (captureText !== null) captureText += chunk.slice(captureStart);
+    }
+    
+    function end() {
+        if (depth !== 0 || inString || topType === null) {
+            throw new SyntaxError('Unexpected end of JSON input. The file may be truncated.');
+        }
+    }
+    
+    return { write, end };
+}
+
+// Normalize a Records.json entry into the standard location shape, keeping
+// only the fields the converter uses so large files stay compact.
+function standardizeRecordsLocation(record) {
+    if (!record || typeof record.latitudeE7 !== 'number' || typeof record.longitudeE7 !== 'number') return null;
+    
+    let ts = null;
+    if (record.timestampMs) {
+        ts = parseInt(record.timestampMs);
+    } else if (record.timestamp) {
+        // Newer exports use an ISO 8601 "timestamp" instead of "timestampMs"
+        ts = parseTimestampMs(record.timestamp);
+    }
+    if (!isFinite(ts)) return null;
+    
+    const loc = {
+        latitudeE7: record.latitudeE7,
+        longitudeE7: record.longitudeE7,
+        timestampMs: String(ts)
+    };
+    ['accuracy', 'altitude', 'velocity', 'heading', 'verticalAccuracy'].forEach(field => {
+        if (typeof record[field] === 'number') loc[field] = record[field];
+    });
+    if (typeof record.source === 'string') loc.source = record.source;
+    return loc;
+}
+
+// Accumulate locations into typed-array columns. Numeric fields become
+// Float64Array columns (NaN = missing), string fields become dictionary-coded
+// Uint32Array columns (0 = missing), anything else is kept in a sparse list.
+function createLocationColumnBuilder() {
+    let capacity = 1024;
+    let length = 0;
+    let latitudeE7 = new Int32Array(capacity);
+    let longitudeE7 = new Int32Array(capacity);
+    let timestampMs = new Float64Array(capacity);
+    const fields = {};
+    const extras = [];
+    
+    const resize = (array, size, fill) => {
+        const next = new array.constructor(size);
+        if (fill !== undefined) next.fill(fill);
+        next.set(array.subarray(0, Math.min(length, size)));
+        return next;
+    };
+    
+    function push(loc) {
+        if (length === capacity) {
+            capacity *= 2;
+            latitudeE7 = resize(latitudeE7, capacity);
+            longitudeE7 = resize(longitudeE7, capacity);
+            timestampMs = resize(timestampMs, capacity);
+            Object.values(fields).forEach(field => {
+                if (field.type === 'number') field.values = resize(field.values, capacity, NaN);
+                else field.codes = resize(field.codes, capacity);
+            });
+        }
+        
+        latitudeE7[length] = loc.latitudeE7;
+        longitudeE7[length] = loc.longitudeE7;
+        timestampMs[length] = parseInt(loc.timestampMs || loc.timestamp);
+        
+        for (const name in loc) {
+            if (name === 'latitudeE7' || name === 'longitudeE7' || name === 'timestampMs' || name === 'timestamp') continue;
+            const value = loc[name];
+            if (value === undefined || value === null) continue;
+            
+            let field = fields[name];
+            if (!field && (typeof value === 'number' || typeof value === 'string')) {
+                field = typeof value === 'number'
+                    ? { type: 'number', values: new Float64Array(capacity).fill(NaN) }
+                    : { type: 'string', codes: new Uint32Array(capacity), strings: [], lookup: new Map() };
+                fields[name] = field;
+            }
+            
+            if (field && field.type === 'number' && typeof value === 'number') {
+                field.values[length] = value;
+            } else if (field && field.type === 'string' && typeof value === 'string') {
+                let code = field.lookup.get(value);
+                if (code === undefined) {
+                    field.strings.push(value);
+                    code = field.strings.length;
+                    field.lookup.set(value, code);
+                }
+                field.codes[length] = code;
+            } else {
+                extras.push([length, name, value]);
+            }
+        }
+        length++;
+    }
+    
+    function finish() {
+        const outFields = {};
+        Object.keys(fields).forEach(name => {
+            const field = fields[name];
+            outFields[name] = field.type === 'number'
+                ? { type: 'number', values: field.values.slice(0, length) }
+                : { type: 'string', codes: field.codes.slice(0, length), strings: field.strings };
+        });
+        return {
+            length,
+            latitudeE7: latitudeE7.slice(0, length),
+            longitudeE7: longitudeE7.slice(0, length),
+            timestampMs: timestampMs.slice(0, length),
+            fields: outFields,
+            extras
+        };
+    }
+    
+    return { push, finish };
+}
+
+// Rebuild the standard location objects the rest of the app works with
+function decodeLocationColumns(columns) {
+    const locations = new Array(columns.length);
+    const fieldEntries = Object.entries(columns.fields);
+    
+    for (let i = 0; i < columns.length; i++) {
+        const loc = {
+            latitudeE7: columns.latitudeE7[i],
+            longitudeE7: columns.longitudeE7[i],
+            timestampMs: String(columns.timestampMs[i])
+        };
+        for (const [name, field] of fieldEntries) {
+            if (field.type === 'number') {
+                const value = field.values[i];
+                if (!isNaN(value)) loc[name] = value;
+            } else {
+                const code = field.codes[i];
+                if (code > 0) loc[name] = field.strings[code - 1];
+            }
+        }
+        locations[i] = loc;
+    }
+    
+    columns.extras.forEach(([index, name, value]) => {
+        locations[index][name] = value;
+    });
+    
+    return locations;
+}
+
+// 135 minutes -> "2h 15m"; multi-day spans -> "1d 3h"
+function formatDuration(ms) {
+    if (!isFinite(ms) || ms < 0) return 'Unknown';
+    const totalMinutes = Math.round(ms / 60000);
+    const days = Math.floor(totalMinutes / 1440);
+    const hours = Math.floor((totalMinutes % 1440) / 60);
+    const minutes = totalMinutes % 60;
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return `${minutes}m`;
 }
 
 function formatFileSize(bytes) {
@@ -563,11 +1422,13 @@ function convertActivityBasedData(activityData) {
 
     const parseMillis = (t) => {
         if (!t) return Date.now();
-        if (/^\d+$/.test(t)) return parseInt(t);
-        let clean = t.split('+')[0];
-        if (clean.endsWith('Z')) clean = clean.slice(0, -1);
-        const d = new Date(clean);
-        return isNaN(d.getTime()) ? Date.now() : d.getTime();
+        const ms = parseTimestampMs(t);
+        return isNaN(ms) ? Date.now() : ms;
+    };
+    // Keep the offset the record was written with for "recorded local time" display
+    const offsetMeta = (t) => {
+        const offset = parseTimestampOffsetMinutes(t);
+        return offset === null ? {} : { tzOffset: offset };
     };
 
     for (const record of activityData) {
@@ -610,68 +1471,215 @@ function convertActivityBasedData(activityData) {
                     const { lat, lon } = pathLatLngs[i];
                     pushPoint(lat, lon, t, {
                         source: 'activity_path',
-                        activityType: activity.topCandidate?.type || 'unknown'
+                        activityType: activity.topCandidate?.type || 'unknown',
+                        ...offsetMeta(record.startTime)
                     });
                 }
             }
         } else if (record.visit) {
             const visit = record.visit;
+            const candidate = visit.topCandidate || {};
             const ts = parseMillis(record.startTime);
-            const loc = visit.placeLocation;
+            const loc = candidate.placeLocation || visit.placeLocation;
             if (loc && typeof loc === 'string' && loc.startsWith('geo:')) {
                 const [lat, lon] = loc.replace('geo:', '').split(',').map(parseFloat);
-                pushPoint(lat, lon, ts, { source: 'visit' });
+                pushPoint(lat, lon, ts, {
+                    ...buildVisitMeta({
+                        placeId: candidate.placeID || candidate.placeId,
+                        semanticType: candidate.semanticType,
+                        probability: candidate.probability,
+                        endTs: record.endTime ? parseMillis(record.endTime) : NaN
+                    }),
+                    ...offsetMeta(record.startTime)
+                });
             }
         }
     }
 
-    // Sort by timestamp and drop consecutive duplicates
+    const deduped = sortAndDedupeLocations(standardLocations);
+
+    console.log(`Converted ${deduped.length} location points from activity data (native paths preferred)`);
+    return deduped;
+}
+
+// Sort by timestamp and drop consecutive duplicates (a visit replaces the
+// plain point it duplicates so its place metadata survives)
+function sortAndDedupeLocations(standardLocations) {
     standardLocations.sort((a, b) => parseInt(a.timestampMs) - parseInt(b.timestampMs));
     const deduped = [];
     for (const p of standardLocations) {
         const last = deduped[deduped.length - 1];
         if (!last || last.latitudeE7 !== p.latitudeE7 || last.longitudeE7 !== p.longitudeE7) {
             deduped.push(p);
+        } else if (p.source === 'visit' && last.source !== 'visit') {
+            deduped[deduped.length - 1] = p;
         }
     }
-
-    console.log(`Converted ${deduped.length} location points from activity data (native paths preferred)`);
     return deduped;
 }
 
-function parseTimestamp(timeStr) {
-    // Parse timestamp string to milliseconds timestamp
-    try {
-        // Remove timezone info and parse
-        let timeStrClean = timeStr.split('+')[0];
-        if (timeStrClean.endsWith('Z')) {
-            timeStrClean = timeStrClean.slice(0, -1);
-        }
-        
-        const dt = new Date(timeStrClean);
-        return Math.round(dt.getTime());
-    } catch (e) {
-        // Use current timestamp if parsing fails
-        return Math.round(Date.now());
-    }
+// "TYPE_HOME" / "Home" -> "HOME"
+function normalizeSemanticType(type) {
+    if (typeof type !== 'string' || !type) return 'UNKNOWN';
+    return type.toUpperCase().replace(/^TYPE_/, '');
 }
 
-// Period management
-function initializePeriodManagement() {
-    addPeriodBtn.addEventListener('click', addPeriod);
+// Shared visit metadata so every input format feeds the same "Places" output
+function buildVisitMeta({ placeId, semanticType, probability, endTs, placeName, placeAddress }) {
+    const meta = { source: 'visit', semanticType: normalizeSemanticType(semanticType) };
+    if (placeId) meta.placeId = placeId;
+    if (placeName) meta.placeName = placeName;
+    if (placeAddress) meta.placeAddress = placeAddress;
+    const prob = parseFloat(probability);
+    if (isFinite(prob)) meta.visitProbability = prob;
+    if (isFinite(endTs)) meta.visitEndMs = endTs;
+    return meta;
 }
 
-function createDefaultPeriod() {
-    if (window.globalDateRange) {
-        const { min, max } = window.globalDateRange;
-        addPeriod(min, max);
-    }
+// Parse "22.3193°, 114.1694°" (on-device Timeline) as well as "geo:22.3,114.1" strings
+function parseLatLngString(value) {
+    if (typeof value !== 'string') return null;
+    const parts = value.replace(/^geo:/, '').replace(/°/g, '').split(',');
+    if (parts.length !== 2) return null;
+    const lat = parseFloat(parts[0]);
+    const lon = parseFloat(parts[1]);
+    if (!isFinite(lat) || !isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { lat, lon };
 }
 
-function addPeriod(startDate = null, endDate = null) {
-    const periodId = periods.length + 1;
-    let sDate = startDate, eDate = endDate;
-    if (!sDate || !eDate) {
+// "IN_PASSENGER_VEHICLE" -> "in passenger vehicle", matching the older export's wording
+function normalizeActivityType(type) {
+    if (typeof type !== 'string' || !type) return 'unknown';
+    return type.toLowerCase().replace(/_/g, ' ');
+}
+
+// Convert the on-device Timeline export (Timeline.json) semanticSegments:
+// timelinePath points, visits with placeLocation and activities with start/end
+function convertTimelineSegments(segments) {
+    const standardLocations = [];
+    const activitySpans = [];
+    const pathPoints = [];
+
+    const pushPoint = (latLng, ts, meta) => {
+        if (!latLng || !isFinite(ts)) return null;
+        const loc = {
+            latitudeE7: Math.round(latLng.lat * 10000000),
+            longitudeE7: Math.round(latLng.lon * 10000000),
+            timestampMs: String(ts),
+            ...meta
+        };
+        standardLocations.push(loc);
+        return loc;
+    };
+
+    // Recorded UTC offset: from the string itself, else the segment's startTimeTimezoneUtcOffsetMinutes
+    const offsetMeta = (time, fallback) => {
+        const offset = parseTimestampOffsetMinutes(time);
+        if (offset !== null) return { tzOffset: offset };
+        return typeof fallback === 'number' ? { tzOffset: fallback } : {};
+    };
+
+    for (const segment of segments) {
+        if (!segment || typeof segment !== 'object') continue;
+        const startTs = parseTimestampMs(segment.startTime);
+        const endTs = parseTimestampMs(segment.endTime);
+        const segmentOffset = offsetMeta(segment.startTime, segment.startTimeTimezoneUtcOffsetMinutes).tzOffset;
+        const endOffset = offsetMeta(segment.endTime, segment.endTimeTimezoneUtcOffsetMinutes).tzOffset;
+
+        if (segment.activity) {
+            const activity = segment.activity;
+            const activityType = normalizeActivityType(activity.topCandidate && activity.topCandidate.type);
+            if (isFinite(startTs) && isFinite(endTs)) activitySpans.push({ startTs, endTs, activityType });
+            pushPoint(parseLatLngString(activity.start && activity.start.latLng), startTs, { source: 'activity_path', activityType, ...offsetMeta(null, segmentOffset) });
+            pushPoint(parseLatLngString(activity.end && activity.end.latLng), endTs, { source: 'activity_path', activityType, ...offsetMeta(null, endOffset) });
+        } else if (segment.visit) {
+            const candidate = segment.visit.topCandidate || {};
+            const placeLocation = candidate.placeLocation && candidate.placeLocation.latLng;
+            pushPoint(parseLatLngString(placeLocation), startTs, {
+                ...buildVisitMeta({
+                    placeId: candidate.placeId,
+                    semanticType: candidate.semanticType,
+                    probability: candidate.probability,
+                    endTs
+                }),
+                ...offsetMeta(null, segmentOffset)
+            });
+        }
+
+        if (Array.isArray(segment.timelinePath)) {
+            for (const p of segment.timelinePath) {
+                const time = p && p.time;
+                const loc = pushPoint(parseLatLngString(p && p.point), parseTimestampMs(time), { source: 'activity_path', activityType: 'unknown', ...offsetMeta(time, segmentOffset) });
+                if (loc) pathPoints.push(loc);
+            }
+        }
+    }
+
+    // timelinePath lives in its own segments; borrow the mode of the activity covering each point
+    activitySpans.sort((a, b) => a.startTs - b.startTs);
+    pathPoints.sort((a, b) => parseInt(a.timestampMs) - parseInt(b.timestampMs));
+    let spanIndex = 0;
+    for (const loc of pathPoints) {
+        const ts = parseInt(loc.timestampMs);
+        while (spanIndex < activitySpans.length && activitySpans[spanIndex].endTs < ts) spanIndex++;
+        const span = activitySpans[spanIndex];
+        if (span && span.startTs <= ts) loc.activityType = span.activityType;
+    }
+
+    const deduped = sortAndDedupeLocations(standardLocations);
+    console.log(`Converted ${deduped.length} location points from Timeline semantic segments`);
+    return deduped;
+}
+
+// Convert a Timeline.json rawSignals entry; only position fixes carry a location
+function convertTimelineRawSignal(signal) {
+    const position = signal && signal.position;
+    if (!position) return null;
+    const latLng = parseLatLngString(position.LatLng || position.latLng);
+    const ts = parseTimestampMs(position.timestamp);
+    if (!latLng || !isFinite(ts)) return null;
+
+    const loc = {
+        latitudeE7: Math.round(latLng.lat * 10000000),
+        longitudeE7: Math.round(latLng.lon * 10000000),
+        timestampMs: String(ts),
+        source: 'raw_signal'
+    };
+    const offset = parseTimestampOffsetMinutes(position.timestamp);
+    if (offset !== null) loc.tzOffset = offset;
+    if (typeof position.accuracyMeters === 'number') loc.accuracy = position.accuracyMeters;
+    if (typeof position.altitudeMeters === 'number') loc.altitude = position.altitudeMeters;
+    if (typeof position.speedMetersPerSecond === 'number') loc.velocity = position.speedMetersPerSecond;
+    return loc;
+}
+
+function parseTimestamp(timeStr) {
+    // Parse timestamp string to milliseconds timestamp, honouring its UTC offset
+    const ms = parseTimestampMs(timeStr);
+    // Use current timestamp if parsing fails
+    return isNaN(ms) ? Math.round(Date.now()) : ms;
+}
+
+// Period management
+function initializePeriodManagement() {
+    addPeriodBtn.addEventListener('click', () => addPeriod());
+    document.getElementById('addRecurringPeriodBtn').addEventListener('click', addRecurringPeriod);
+    document.getElementById('autoSplitBtn').addEventListener('click', autoSplitPeriods);
+    document.getElementById('detectTripsBtn').addEventListener('click', runTripDetection);
+}
+
+function createDefaultPeriod() {
+    if (window.globalDateRange) {
+        const { min, max } = window.globalDateRange;
+        addPeriod(min, max);
+        resetAutoSplitRange();
+    }
+}
+
+function addPeriod(startDate = null, endDate = null, recurrence = null) {
+    const periodId = periods.length + 1;
+    let sDate = startDate, eDate = endDate;
+    if (!sDate || !eDate) {
         if (window.globalDateRange) {
             sDate = new Date(window.globalDateRange.min);
             eDate = new Date(window.globalDateRange.max);
@@ -684,6 +1692,7 @@ function addPeriod(startDate = null, endDate = null) {
         startDate: sDate,
         endDate: eDate
     };
+    if (recurrence) period.recurrence = recurrence;
     periods.push(period);
     renderPeriods();
     updatePeriodsSummary();
@@ -691,6 +1700,603 @@ function addPeriod(startDate = null, endDate = null) {
     enableTab('settings');
 }
 
+// Recurring periods
+// A period with a `recurrence` rule only matches the daily time windows on the
+// chosen weekdays (and every Nth week) between its start and end dates.
+const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+function createDefaultRecurrence() {
+    return {
+        days: [1, 2, 3, 4, 5],
+        startTime: '07:00',
+        endTime: '09:30',
+        everyNWeeks: 1,
+        exclusions: []
+    };
+}
+
+// "HH:MM" -> minutes after midnight
+function parseTimeOfDay(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+    if (!match) return null;
+    return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// "YYYY-MM-DD" for a wall-clock date from toDisplayWallClock(), the format used by exclusions
+function formatDateKey(wallDate) {
+    return `${wallDate.getUTCFullYear()}-${String(wallDate.getUTCMonth() + 1).padStart(2, '0')}-${String(wallDate.getUTCDate()).padStart(2, '0')}`;
+}
+
+// Expand a recurring period into sorted, non-overlapping [startMs, endMs] windows
+// clipped to the period's date range. A window whose end time is before its
+// start time runs past midnight into the next day.
+function expandRecurrence(period) {
+    const rule = period.recurrence;
+    const startMinutes = parseTimeOfDay(rule.startTime);
+    const endMinutes = parseTimeOfDay(rule.endTime);
+    if (startMinutes === null || endMinutes === null || rule.days.length === 0) return [];
+
+    const rangeStart = period.startDate.getTime();
+    const rangeEnd = period.endDate.getTime();
+    const excluded = new Set(rule.exclusions);
+    const everyNWeeks = Math.max(1, rule.everyNWeeks || 1);
+
+    // Days are walked in display-timezone wall-clock time; week numbers count
+    // from the Monday on or before the period start
+    const DAY_MS = 86400000;
+    const firstDayWall = Math.floor(toDisplayWallClock(rangeStart).getTime() / DAY_MS) * DAY_MS;
+    const firstMondayWall = firstDayWall - ((new Date(firstDayWall).getUTCDay() + 6) % 7) * DAY_MS;
+    const lastDayWall = toDisplayWallClock(rangeEnd).getTime();
+
+    const windows = [];
+    // Start a day early so a window crossing midnight into the first day is included
+    for (let dayWall = firstDayWall - DAY_MS; dayWall <= lastDayWall; dayWall += DAY_MS) {
+        const day = new Date(dayWall);
+        const weekIndex = Math.floor(Math.round((dayWall - firstMondayWall) / DAY_MS) / 7);
+        if (rule.days.includes(day.getUTCDay()) && !excluded.has(formatDateKey(day)) &&
+            ((weekIndex % everyNWeeks) + everyNWeeks) % everyNWeeks === 0) {
+            const windowStart = fromDisplayWallClock(dayWall + startMinutes * 60000);
+            const windowEnd = fromDisplayWallClock(dayWall + (endMinutes <= startMinutes ? DAY_MS : 0) + endMinutes * 60000);
+            const start = Math.max(windowStart, rangeStart);
+            const end = Math.min(windowEnd, rangeEnd);
+            if (start <= end) windows.push([start, end]);
+        }
+    }
+    return windows;
+}
+
+// Returns timestamp => boolean for a period, with a binary search over the
+// windows of recurring periods
+function createPeriodMatcher(period) {
+    const startMs = period.startDate.getTime();
+    const endMs = period.endDate.getTime();
+    if (!period.recurrence) {
+        return timestamp => timestamp >= startMs && timestamp <= endMs;
+    }
+
+    const windows = expandRecurrence(period);
+    return timestamp => {
+        let low = 0;
+        let high = windows.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (timestamp < windows[mid][0]) high = mid - 1;
+            else if (timestamp > windows[mid][1]) low = mid + 1;
+            else return true;
+        }
+        return false;
+    };
+}
+
+// "Mon–Fri 07:00–09:30, every 2 weeks, 3 excluded dates"
+function describeRecurrence(rule) {
+    const days = [...rule.days].sort((a, b) => ((a + 6) % 7) - ((b + 6) % 7));
+    let dayText = days.map(d => WEEKDAY_LABELS[d]).join(', ');
+    if (days.join() === '1,2,3,4,5') dayText = 'Mon–Fri';
+    else if (days.length === 7) dayText = 'Every day';
+    else if (days.length === 0) dayText = 'No days';
+
+    const parts = [`${dayText} ${rule.startTime}–${rule.endTime}`];
+    if (rule.everyNWeeks > 1) parts.push(`every ${rule.everyNWeeks} weeks`);
+    if (rule.exclusions.length > 0) parts.push(`${rule.exclusions.length} excluded date${rule.exclusions.length === 1 ? '' : 's'}`);
+    return parts.join(', ');
+}
+
+// Label used in the summary, period selectors, download list and KMZ folders
+function getPeriodLabel(period) {
+    const range = period.name || `${formatDisplayDate(period.startDate.getTime())} to ${formatDisplayDate(period.endDate.getTime())}`;
+    const label = period.recurrence ? `${range} (${describeRecurrence(period.recurrence)})` : range;
+    return period.area ? `${label}, inside a drawn ${period.area.type}` : label;
+}
+
+// "period3_output.kml", or "period3_2024-03-15.kml" for named periods
+function getPeriodFileName(period, extension) {
+    const suffix = period.name ? period.name.replace(/[^\w-]+/g, '_') : 'output';
+    return `period${period.id}_${suffix}.${extension}`;
+}
+
+function addRecurringPeriod() {
+    addPeriod(null, null, createDefaultRecurrence());
+}
+
+function createRecurrenceControls(period) {
+    const rule = period.recurrence;
+    const dayBoxes = [1, 2, 3, 4, 5, 6, 0].map(day => `
+                <label class="checkbox-item">
+                    <input type="checkbox" ${rule.days.includes(day) ? 'checked' : ''}
+                           onchange="toggleRecurrenceDay(${period.id}, ${day}, this.checked)">
+                    <span>${WEEKDAY_LABELS[day]}</span>
+                </label>`).join('');
+
+    return `
+        <div class="recurrence-rule">
+            <div class="recurrence-days">${dayBoxes}
+            </div>
+            <div class="date-inputs">
+                <div class="date-group">
+                    <label>Daily From:</label>
+                    <input type="time" value="${rule.startTime}"
+                           onchange="updatePeriodRecurrence(${period.id}, 'startTime', this.value)">
+                </div>
+                <div class="date-group">
+                    <label>Daily Until:</label>
+                    <input type="time" value="${rule.endTime}"
+                           onchange="updatePeriodRecurrence(${period.id}, 'endTime', this.value)">
+                </div>
+                <div class="date-group">
+                    <label>Every Nth Week:</label>
+                    <input type="number" min="1" value="${rule.everyNWeeks}"
+                           onchange="updatePeriodRecurrence(${period.id}, 'everyNWeeks', this.value)">
+                </div>
+                <div class="date-group">
+                    <label>Excluded Dates:</label>
+                    <input type="text" placeholder="2024-03-15, 2024-03-29" value="${rule.exclusions.join(', ')}"
+                           onchange="updatePeriodRecurrence(${period.id}, 'exclusions', this.value)">
+                </div>
+            </div>
+            <div class="recurrence-summary" id="recurrenceSummary_${period.id}">${describeRecurrenceWindows(period)}</div>
+        </div>`;
+}
+
+function describeRecurrenceWindows(period) {
+    const count = expandRecurrence(period).length;
+    return `${describeRecurrence(period.recurrence)} — ${count.toLocaleString()} time window${count === 1 ? '' : 's'}`;
+}
+
+function toggleRecurrenceDay(periodId, day, checked) {
+    const period = periods.find(p => p.id === periodId);
+    if (!period || !period.recurrence) return;
+    const days = period.recurrence.days.filter(d => d !== day);
+    if (checked) days.push(day);
+    period.recurrence.days = days;
+    onPeriodChanged(period);
+}
+
+function updatePeriodRecurrence(periodId, field, value) {
+    const period = periods.find(p => p.id === periodId);
+    if (!period || !period.recurrence) return;
+
+    if (field === 'everyNWeeks') {
+        period.recurrence.everyNWeeks = Math.max(1, parseInt(value) || 1);
+    } else if (field === 'exclusions') {
+        period.recurrence.exclusions = value.split(/[\s,]+/).filter(date => /^\d{4}-\d{2}-\d{2}$/.test(date));
+    } else if (parseTimeOfDay(value) !== null) {
+        period.recurrence[field] = value;
+    }
+    onPeriodChanged(period);
+}
+
+// Refresh everything that depends on what a period matches
+function onPeriodChanged(period) {
+    const summarySpan = document.getElementById(`periodSummary_${period.id}`);
+    if (summarySpan) {
+        summarySpan.textContent = countRecordsInPeriod(period);
+    }
+    const recurrenceSummary = document.getElementById(`recurrenceSummary_${period.id}`);
+    if (recurrenceSummary && period.recurrence) {
+        recurrenceSummary.textContent = describeRecurrenceWindows(period);
+    }
+
+    updatePeriodsSummary();
+    refreshMapAndDownloadSections();
+}
+
+// Spatial filters
+// A period may carry an `area` drawn on the map; only points inside it match.
+//   { type: 'rectangle', south, west, north, east }
+//   { type: 'polygon', points: [{ lat, lon }, ...] }
+//   { type: 'circle', lat, lon, radiusMeters }
+const AREA_TYPES = {
+    rectangle: 'Rectangle',
+    polygon: 'Polygon',
+    circle: 'Circle'
+};
+
+// Returns (lat, lon) => boolean, or null when the period has no area
+function createAreaMatcher(area) {
+    if (!area) return null;
+    if (area.type === 'rectangle') {
+        return (lat, lon) => lat >= area.south && lat <= area.north && lon >= area.west && lon <= area.east;
+    }
+    if (area.type === 'circle') {
+        return (lat, lon) => haversineDistanceMeters(area.lat, area.lon, lat, lon) <= area.radiusMeters;
+    }
+
+    // Polygon: even-odd ray casting on plain lat/lon, after a bounding box check
+    const points = area.points;
+    const south = Math.min(...points.map(p => p.lat));
+    const north = Math.max(...points.map(p => p.lat));
+    const west = Math.min(...points.map(p => p.lon));
+    const east = Math.max(...points.map(p => p.lon));
+    return (lat, lon) => {
+        if (lat < south || lat > north || lon < west || lon > east) return false;
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const a = points[i];
+            const b = points[j];
+            if ((a.lat > lat) !== (b.lat > lat) && lon < (b.lon - a.lon) * (lat - a.lat) / (b.lat - a.lat) + a.lon) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    };
+}
+
+// Closed outline as [[lat, lon], ...] for the map and KML; circles use 64 corners
+function getAreaOutline(area) {
+    let ring;
+    if (area.type === 'rectangle') {
+        ring = [[area.south, area.west], [area.south, area.east], [area.north, area.east], [area.north, area.west]];
+    } else if (area.type === 'circle') {
+        ring = [];
+        for (let i = 0; i < 64; i++) {
+            const point = offsetLatLon(area.lat, area.lon, area.radiusMeters, i / 64 * 2 * Math.PI);
+            ring.push([point.lat, point.lon]);
+        }
+    } else {
+        ring = area.points.map(p => [p.lat, p.lon]);
+    }
+    return [...ring, ring[0]];
+}
+
+function describePeriodArea(area) {
+    if (area.type === 'rectangle') {
+        return `Rectangle ${area.south.toFixed(4)}°, ${area.west.toFixed(4)}° to ${area.north.toFixed(4)}°, ${area.east.toFixed(4)}°`;
+    }
+    if (area.type === 'circle') {
+        return `${formatDistance(area.radiusMeters)} circle around ${area.lat.toFixed(4)}°, ${area.lon.toFixed(4)}°`;
+    }
+    return `Polygon with ${area.points.length} corners`;
+}
+
+function createAreaControls(period) {
+    const drawButtons = Object.keys(AREA_TYPES).map(type => `
+                <button type="button" class="btn btn-outline" onclick="startDrawingPeriodArea(${period.id}, '${type}')">${AREA_TYPES[type]}</button>`).join('');
+    return `
+        <div class="period-area">
+            <span><strong>Area:</strong> ${period.area ? describePeriodArea(period.area) : 'Anywhere'}</span>
+            <div class="period-area-buttons">
+                <span>Draw on map:</span>${drawButtons}${period.area ? `
+                <button type="button" class="btn btn-outline" onclick="clearPeriodArea(${period.id})">Clear</button>` : ''}
+            </div>
+        </div>`;
+}
+
+function setPeriodArea(periodId, area) {
+    const period = periods.find(p => p.id === periodId);
+    if (!period) return;
+    if (area) period.area = area;
+    else delete period.area;
+    renderPeriods();
+    onPeriodChanged(period);
+}
+
+function clearPeriodArea(periodId) {
+    setPeriodArea(periodId, null);
+}
+
+// Auto-split: one period per day, week, month or year.
+// Buckets work on wall-clock dates from toDisplayWallClock(), so they follow the display timezone.
+const SPLIT_GRANULARITIES = {
+    day: {
+        start: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate())),
+        next: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1)),
+        name: date => formatDateKey(date)
+    },
+    week: {
+        // Weeks start on Monday
+        start: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() - ((date.getUTCDay() + 6) % 7))),
+        next: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 7)),
+        name: date => `Week of ${formatDateKey(date)}`
+    },
+    month: {
+        start: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)),
+        next: date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)),
+        name: date => date.toLocaleDateString([], { year: 'numeric', month: 'long', timeZone: 'UTC' })
+    },
+    year: {
+        start: date => new Date(Date.UTC(date.getUTCFullYear(), 0, 1)),
+        next: date => new Date(Date.UTC(date.getUTCFullYear() + 1, 0, 1)),
+        name: date => String(date.getUTCFullYear())
+    }
+};
+
+// Split [rangeStart, rangeEnd] into calendar buckets and return the ones
+// holding at least one location as [{ name, startDate, endDate }]
+function computeSplitBuckets(rangeStart, rangeEnd, granularity) {
+    const locations = window.convertedLocations || (locationData && locationData.locations);
+    const unit = SPLIT_GRANULARITIES[granularity];
+    if (!locations || !unit || rangeEnd < rangeStart) return [];
+
+    const buckets = [];
+    for (let start = unit.start(toDisplayWallClock(rangeStart.getTime())); ; start = unit.next(start)) {
+        const startMs = fromDisplayWallClock(start.getTime());
+        if (startMs > rangeEnd.getTime()) break;
+        buckets.push({
+            name: unit.name(start),
+            startDate: new Date(Math.max(startMs, rangeStart.getTime())),
+            endDate: new Date(Math.min(fromDisplayWallClock(unit.next(start).getTime()) - 1, rangeEnd.getTime())),
+            count: 0
+        });
+    }
+
+    // One pass over the data with a binary search per point
+    locations.forEach(loc => {
+        const timestamp = parseInt(loc.timestampMs || loc.timestamp);
+        let low = 0;
+        let high = buckets.length - 1;
+        while (low <= high) {
+            const mid = (low + high) >> 1;
+            if (timestamp < buckets[mid].startDate.getTime()) high = mid - 1;
+            else if (timestamp > buckets[mid].endDate.getTime()) low = mid + 1;
+            else {
+                buckets[mid].count++;
+                break;
+            }
+        }
+    });
+
+    return buckets.filter(bucket => bucket.count > 0);
+}
+
+function autoSplitPeriods() {
+    const rangeStart = parseDateTimeLocal(document.getElementById('splitStartDate').value);
+    const rangeEnd = parseDateTimeLocal(document.getElementById('splitEndDate').value);
+    const granularity = document.getElementById('splitGranularity').value;
+
+    if (isNaN(rangeStart) || isNaN(rangeEnd) || rangeEnd < rangeStart) {
+        showError('Please choose a valid range to split: the end must be after the start.');
+        return;
+    }
+
+    const buckets = computeSplitBuckets(rangeStart, rangeEnd, granularity);
+    if (buckets.length === 0) {
+        showError('No location records in the selected range.');
+        return;
+    }
+
+    if (document.getElementById('splitReplace').checked) {
+        periods = [];
+    }
+    buckets.forEach(bucket => {
+        periods.push({
+            id: periods.length + 1,
+            name: bucket.name,
+            startDate: bucket.startDate,
+            endDate: bucket.endDate
+        });
+    });
+
+    renderPeriods();
+    updatePeriodsSummary();
+    refreshMapAndDownloadSections();
+    enableTab('settings');
+    showNotification(`Created ${buckets.length} period${buckets.length === 1 ? '' : 's'}; empty ${granularity}s were skipped`, 'success');
+}
+
+// Default the split range to the loaded data
+function resetAutoSplitRange() {
+    if (!window.globalDateRange || !document.getElementById('splitStartDate')) return;
+    document.getElementById('splitStartDate').value = formatDateTimeLocal(window.globalDateRange.min);
+    document.getElementById('splitEndDate').value = formatDateTimeLocal(window.globalDateRange.max);
+}
+
+// Trip detection: infer home from where nights are spent, then propose a
+// period for every long enough stretch spent farther than a radius from it
+let detectedTrips = [];
+
+// Home is the ~1 km grid cell seen on the most distinct nights (00:00–05:59 in the display timezone)
+function inferHomeLocation(locations) {
+    const CELL_DEGREES = 0.01;
+    const cells = new Map();
+
+    locations.forEach(loc => {
+        const time = toDisplayWallClock(parseInt(loc.timestampMs || loc.timestamp), loc);
+        if (time.getUTCHours() >= 6) return;
+        const lat = loc.latitudeE7 / 1e7;
+        const lon = loc.longitudeE7 / 1e7;
+        const key = `${Math.round(lat / CELL_DEGREES)},${Math.round(lon / CELL_DEGREES)}`;
+        let cell = cells.get(key);
+        if (!cell) {
+            cell = { nights: new Set(), latSum: 0, lonSum: 0, count: 0 };
+            cells.set(key, cell);
+        }
+        cell.nights.add(formatDateKey(time));
+        cell.latSum += lat;
+        cell.lonSum += lon;
+        cell.count++;
+    });
+
+    let best = null;
+    cells.forEach(cell => {
+        if (!best || cell.nights.size > best.nights.size) best = cell;
+    });
+    if (!best) return null;
+
+    return {
+        latitude: best.latSum / best.count,
+        longitude: best.lonSum / best.count,
+        nights: best.nights.size
+    };
+}
+
+// Contiguous runs of time-sorted points farther than radiusKm from home,
+// lasting at least minHours. Returns [{ startDate, endDate, maxDistanceMeters, name }].
+function detectTrips(sortedLocations, home, { radiusKm, minHours }) {
+    const radiusMeters = radiusKm * 1000;
+    const minDurationMs = minHours * 3600000;
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    const trips = [];
+    let current = null;
+
+    const closeTrip = () => {
+        if (current && getTime(current.last) - getTime(current.first) >= minDurationMs) {
+            trips.push(current);
+        }
+        current = null;
+    };
+
+    sortedLocations.forEach(loc => {
+        const distance = haversineDistanceMeters(home.latitude, home.longitude, loc.latitudeE7 / 1e7, loc.longitudeE7 / 1e7);
+        if (distance <= radiusMeters) {
+            closeTrip();
+            return;
+        }
+        if (!current) {
+            current = { first: loc, last: loc, farthest: loc, maxDistanceMeters: distance, visits: [] };
+        }
+        current.last = loc;
+        if (distance > current.maxDistanceMeters) {
+            current.maxDistanceMeters = distance;
+            current.farthest = loc;
+        }
+        if (loc.source === 'visit') current.visits.push(loc);
+    });
+    closeTrip();
+
+    return trips.map(trip => {
+        const startDate = new Date(getTime(trip.first));
+        const endDate = new Date(getTime(trip.last));
+        return {
+            startDate,
+            endDate,
+            maxDistanceMeters: trip.maxDistanceMeters,
+            name: `${getTripDestination(trip)}, ${formatTripDates(startDate, endDate)}`
+        };
+    });
+}
+
+// The named place where the most time was spent, else the farthest point's coordinates
+function getTripDestination(trip) {
+    const dwell = new Map();
+    trip.visits.forEach(visit => {
+        const name = visit.placeName || visit.placeAddress;
+        if (!name) return;
+        const duration = visit.visitEndMs ? visit.visitEndMs - parseInt(visit.timestampMs || visit.timestamp) : 0;
+        dwell.set(name, (dwell.get(name) || 0) + Math.max(duration, 1));
+    });
+
+    let best = null;
+    dwell.forEach((duration, name) => {
+        if (!best || duration > best.duration) best = { name, duration };
+    });
+    if (best) return best.name;
+
+    const lat = trip.farthest.latitudeE7 / 1e7;
+    const lon = trip.farthest.longitudeE7 / 1e7;
+    return `Trip to ${lat.toFixed(2)}°, ${lon.toFixed(2)}°`;
+}
+
+// "Mar 3 – Mar 7, 2024", or with both years when the trip crosses New Year
+function formatTripDates(startDate, endDate) {
+    const dayMonth = { month: 'short', day: 'numeric' };
+    const full = { year: 'numeric', month: 'short', day: 'numeric' };
+    const startWall = toDisplayWallClock(startDate.getTime());
+    const endWall = toDisplayWallClock(endDate.getTime());
+    if (formatDateKey(startWall) === formatDateKey(endWall)) return formatDisplayDate(endDate.getTime(), null, full);
+    if (startWall.getUTCFullYear() === endWall.getUTCFullYear()) {
+        return `${formatDisplayDate(startDate.getTime(), null, dayMonth)} – ${formatDisplayDate(endDate.getTime(), null, full)}`;
+    }
+    return `${formatDisplayDate(startDate.getTime(), null, full)} – ${formatDisplayDate(endDate.getTime(), null, full)}`;
+}
+
+function runTripDetection() {
+    const locations = window.convertedLocations || (locationData && locationData.locations);
+    const resultsDiv = document.getElementById('tripResults');
+    if (!locations || locations.length === 0) {
+        showError('Please load a location history file first.');
+        return;
+    }
+
+    const radiusKm = parseFloat(document.getElementById('tripRadiusKm').value);
+    const minHours = parseFloat(document.getElementById('tripMinHours').value);
+    if (!(radiusKm > 0) || !(minHours > 0)) {
+        showError('Please enter a positive radius and minimum duration.');
+        return;
+    }
+
+    // Use the cleaned points so a single GPS jump cannot start a trip
+    const sorted = cleanLocations(locations.filter(loc => loc.latitudeE7 && loc.longitudeE7), getCleaningSettings()).locations;
+    const home = inferHomeLocation(sorted);
+    if (!home) {
+        detectedTrips = [];
+        resultsDiv.innerHTML = '<p>Could not infer a home location: there are no overnight records.</p>';
+        resultsDiv.style.display = 'block';
+        return;
+    }
+
+    detectedTrips = detectTrips(sorted, home, { radiusKm, minHours });
+    renderDetectedTrips(home);
+}
+
+function renderDetectedTrips(home) {
+    const resultsDiv = document.getElementById('tripResults');
+    const homeText = `Home: ${home.latitude.toFixed(4)}°, ${home.longitude.toFixed(4)}° (seen on ${home.nights.toLocaleString()} nights)`;
+
+    if (detectedTrips.length === 0) {
+        resultsDiv.innerHTML = `<p>${homeText}</p><p>No trips found with these settings.</p>`;
+        resultsDiv.style.display = 'block';
+        return;
+    }
+
+    resultsDiv.innerHTML = `
+        <p>${homeText}</p>
+        <div class="trip-list">
+            ${detectedTrips.map((trip, index) => `
+            <label class="checkbox-item">
+                <input type="checkbox" id="trip_${index}" checked>
+                <span>${escapeXML(trip.name)} — ${formatDuration(trip.endDate - trip.startDate)}, up to ${formatDistance(trip.maxDistanceMeters)} from home</span>
+            </label>`).join('')}
+        </div>
+        <button class="btn btn-secondary" id="addTripsBtn">Add Selected Trips as Periods</button>
+    `;
+    resultsDiv.style.display = 'block';
+    document.getElementById('addTripsBtn').addEventListener('click', addSelectedTrips);
+}
+
+function addSelectedTrips() {
+    const selected = detectedTrips.filter((trip, index) => document.getElementById(`trip_${index}`).checked);
+    if (selected.length === 0) {
+        showError('Please select at least one trip.');
+        return;
+    }
+
+    selected.forEach(trip => {
+        periods.push({
+            id: periods.length + 1,
+            name: trip.name,
+            startDate: new Date(trip.startDate),
+            endDate: new Date(trip.endDate)
+        });
+    });
+
+    renderPeriods();
+    updatePeriodsSummary();
+    refreshMapAndDownloadSections();
+    enableTab('settings');
+    showNotification(`Added ${selected.length} trip period${selected.length === 1 ? '' : 's'}`, 'success');
+}
+
 function removePeriod(periodId) {
     periods = periods.filter(p => p.id !== periodId);
     // Renumber periods
@@ -732,7 +2338,7 @@ function createPeriodElement(period) {
     
     div.innerHTML = `
         <div class="period-header">
-            <span class="period-number">Period ${period.id}</span>
+            <span class="period-number">Period ${period.id}${period.recurrence ? ' (recurring)' : ''}</span>
             <button class="remove-period" onclick="removePeriod(${period.id})">Remove</button>
         </div>
         <div class="date-inputs">
@@ -755,6 +2361,8 @@ function createPeriodElement(period) {
                        onchange="updatePeriodDate(${period.id}, 'endDate', this.value)">
             </div>
         </div>
+        ${period.recurrence ? createRecurrenceControls(period) : ''}
+        ${createAreaControls(period)}
         <div class="period-summary">
             <strong>Records in this period:</strong> <span id="periodSummary_${period.id}">${countRecordsInPeriod(period)}</span>
         </div>
@@ -765,22 +2373,15 @@ function createPeriodElement(period) {
 function updatePeriodDate(periodId, field, value) {
     const period = periods.find(p => p.id === periodId);
     if (period) {
-        const newDate = new Date(value);
+        const newDate = parseDateTimeLocal(value);
         period[field] = newDate;
+        // A date-named period no longer matches its name once its range is edited
+        delete period.name;
         
         // Validate date constraints
         validatePeriodDates(periodId);
         
-        // Update the summary for this period only
-        const summarySpan = document.getElementById(`periodSummary_${periodId}`);
-        if (summarySpan) {
-            summarySpan.textContent = countRecordsInPeriod(period);
-        }
-        
-        updatePeriodsSummary();
-        
-        // Auto-refresh map and download sections if they exist
-        refreshMapAndDownloadSections();
+        onPeriodChanged(period);
     }
 }
 
@@ -817,16 +2418,7 @@ function validatePeriodDates(periodId) {
 }
 
 function countRecordsInPeriod(period) {
-    const locations = window.convertedLocations || locationData.locations;
-    if (!locations) return 0;
-    
-    const startMs = period.startDate.getTime();
-    const endMs = period.endDate.getTime();
-    
-    return locations.filter(loc => {
-        const timestamp = parseInt(loc.timestampMs || loc.timestamp);
-        return timestamp >= startMs && timestamp <= endMs;
-    }).length;
+    return getPeriodLocations(period).length;
 }
 
 function updatePeriodsSummary() {
@@ -842,15 +2434,28 @@ function updatePeriodsSummary() {
     periodsListDiv.innerHTML = '';
     
     periods.forEach(period => {
-        const count = countRecordsInPeriod(period);
+        const { locations, removed } = getCleanPeriodLocations(period);
+        const count = locations.length;
+        const stats = computeTrackStats(buildTrackSegments(locations));
+        const breakdown = formatActivityBreakdown(stats);
+        const cleaningReport = formatCleaningReport(removed);
         const periodDiv = document.createElement('div');
         periodDiv.innerHTML = `
-            <strong>Period ${period.id}:</strong> ${period.startDate.toLocaleDateString()} to ${period.endDate.toLocaleDateString()} 
+            <strong>Period ${period.id}:</strong> ${escapeXML(getPeriodLabel(period))} 
             (${count.toLocaleString()} records)
+            ${cleaningReport ? `<div class="cleaning-report">Removed: ${cleaningReport}</div>` : ''}
+            ${stats.segmentCount > 0 ? `<div class="period-stats">
+                ${formatDistance(stats.distanceMeters)} in ${stats.segmentCount} segment${stats.segmentCount === 1 ? '' : 's'}
+                · elapsed ${formatDuration(stats.elapsedMs)} · moving ${formatDuration(stats.movingMs)}
+                · avg ${formatSpeed(stats.avgSpeedMps)} · max ${formatSpeed(stats.maxSpeedMps)}
+                ${breakdown ? `<br>${breakdown}` : ''}
+            </div>` : ''}
         `;
         periodsListDiv.appendChild(periodDiv);
     });
     
+    updateKMLPreview();
+    
     // Enable process button if we have periods
     processBtn.disabled = periods.length === 0;
 }
@@ -873,9 +2478,11 @@ function refreshMapAndDownloadSections() {
         initializeMapContainer();
     }
     
-    // Refresh map for the selected period
+    // Refresh map for the selected period, or every period in the overlay
     const selectedId = parseInt(periodSelector.value);
-    if (!isNaN(selectedId)) {
+    if (periodSelector.value === 'all' && map) {
+        loadAllPeriodsOverlay();
+    } else if (!isNaN(selectedId)) {
         const selPeriod = periods.find(p => p.id === selectedId);
         if (selPeriod) {
             loadPeriodData(selPeriod);
@@ -886,32 +2493,209 @@ function refreshMapAndDownloadSections() {
     updatePeriodSelector();
 }
 
-function formatDateTimeLocal(date) {
-    // Ensure date is a Date object
-    if (!(date instanceof Date)) {
-        date = new Date(date);
+// Display timezone
+// Timestamps are stored as UTC milliseconds. Labels, period boundaries and
+// calendar buckets are shown in the zone picked on the Date Selection tab:
+// the browser's zone, UTC, the offset each point was recorded with
+// (Timeline exports keep it), or a named IANA zone.
+const zoneFormatters = new Map();
+
+function getDisplayTimeZone() {
+    const select = document.getElementById('displayTimeZone');
+    const mode = select ? select.value : 'browser';
+    if (mode === 'named') {
+        const zone = document.getElementById('namedTimeZone').value.trim();
+        if (isValidTimeZone(zone)) return { mode, zone };
+        return { mode: 'browser' };
     }
-    
-    // Check if date is valid
-    if (isNaN(date.getTime())) {
-        console.error('Invalid date passed to formatDateTimeLocal:', date);
-        return '';
+    return { mode };
+}
+
+function isValidTimeZone(zone) {
+    if (!zone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: zone });
+        return true;
+    } catch (e) {
+        return false;
     }
-    
-    const year = date.getFullYear();
-    const month = String(date.getMonth() + 1).padStart(2, '0');
-    const day = String(date.getDate()).padStart(2, '0');
-    const hours = String(date.getHours()).padStart(2, '0');
-    const minutes = String(date.getMinutes()).padStart(2, '0');
-    return `${year}-${month}-${day}T${hours}:${minutes}`;
 }
 
-// Processing functionality
-function initializeProcessing() {
-    processBtn.addEventListener('click', processPeriods);
+// Offset of a named zone from UTC in minutes at a given instant
+function getNamedZoneOffsetMinutes(ms, zone) {
+    let formatter = zoneFormatters.get(zone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        });
+        zoneFormatters.set(zone, formatter);
+    }
+    const parts = {};
+    formatter.formatToParts(new Date(ms)).forEach(part => {
+        parts[part.type] = parseInt(part.value);
+    });
+    const wallMs = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return Math.round((wallMs - Math.floor(ms / 1000) * 1000) / 60000);
 }
 
-function processPeriods() {
+// Minutes to add to UTC for display. `loc` supplies the recorded offset, if any.
+function getDisplayOffsetMinutes(ms, loc = null) {
+    const timeZone = getDisplayTimeZone();
+    switch (timeZone.mode) {
+        case 'utc':
+            return 0;
+        case 'named':
+            return getNamedZoneOffsetMinutes(ms, timeZone.zone);
+        case 'recorded':
+            if (loc && typeof loc.tzOffset === 'number' && isFinite(loc.tzOffset)) return loc.tzOffset;
+            if (typeof window.recordedOffsetMinutes === 'number') return window.recordedOffsetMinutes;
+            return -new Date(ms).getTimezoneOffset();
+        default:
+            return -new Date(ms).getTimezoneOffset();
+    }
+}
+
+// A Date whose UTC fields read as the wall-clock time in the display zone
+function toDisplayWallClock(ms, loc = null) {
+    return new Date(ms + getDisplayOffsetMinutes(ms, loc) * 60000);
+}
+
+// Inverse of toDisplayWallClock: wall-clock milliseconds (UTC fields) -> instant.
+// The second pass settles the offset around DST changes.
+function fromDisplayWallClock(wallMs) {
+    const guess = wallMs - getDisplayOffsetMinutes(wallMs) * 60000;
+    return wallMs - getDisplayOffsetMinutes(guess) * 60000;
+}
+
+function formatDisplayDate(ms, loc = null, options = {}) {
+    return toDisplayWallClock(ms, loc).toLocaleDateString([], { ...options, timeZone: 'UTC' });
+}
+
+function formatDisplayTime(ms, loc = null, options = {}) {
+    return toDisplayWallClock(ms, loc).toLocaleTimeString([], { ...options, timeZone: 'UTC' });
+}
+
+function formatDisplayDateTime(ms, loc = null) {
+    return toDisplayWallClock(ms, loc).toLocaleString([], { timeZone: 'UTC' });
+}
+
+// "UTC", "Europe/London", "the browser's timezone (Asia/Hong_Kong)" or "recorded local time"
+function describeDisplayTimeZone() {
+    const timeZone = getDisplayTimeZone();
+    if (timeZone.mode === 'utc') return 'UTC';
+    if (timeZone.mode === 'named') return timeZone.zone;
+    if (timeZone.mode === 'recorded') {
+        return typeof window.recordedOffsetMinutes === 'number'
+            ? `recorded local time (mostly ${formatUtcOffset(window.recordedOffsetMinutes)})`
+            : 'recorded local time';
+    }
+    return `the browser's timezone (${Intl.DateTimeFormat().resolvedOptions().timeZone})`;
+}
+
+// "UTC+08:00"
+function formatUtcOffset(minutes) {
+    const sign = minutes < 0 ? '-' : '+';
+    const abs = Math.abs(minutes);
+    return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// datetime-local input value ("YYYY-MM-DDTHH:MM") in the display zone -> Date
+function parseDateTimeLocal(value) {
+    const wallMs = Date.parse(`${value}Z`);
+    return new Date(isNaN(wallMs) ? NaN : fromDisplayWallClock(wallMs));
+}
+
+// Most common recorded offset in the data, used by the "recorded" mode for
+// period boundaries and for points that came without one
+function computeRecordedOffset(locations) {
+    const counts = new Map();
+    locations.forEach(loc => {
+        if (typeof loc.tzOffset === 'number') counts.set(loc.tzOffset, (counts.get(loc.tzOffset) || 0) + 1);
+    });
+    let best = null;
+    counts.forEach((count, offset) => {
+        if (best === null || count > counts.get(best)) best = offset;
+    });
+    return best;
+}
+
+function initializeDisplayTimeZone() {
+    const select = document.getElementById('displayTimeZone');
+    if (!select) return;
+
+    const namedInput = document.getElementById('namedTimeZone');
+    let saved = null;
+    try {
+        saved = JSON.parse(localStorage.getItem('displayTimeZone') || 'null');
+    } catch (e) {
+        saved = null;
+    }
+    if (saved) {
+        select.value = saved.mode;
+        namedInput.value = saved.zone || '';
+    }
+
+    // Offer the browser's zone list where supported
+    if (typeof Intl.supportedValuesOf === 'function') {
+        document.getElementById('timeZoneList').innerHTML = Intl.supportedValuesOf('timeZone')
+            .map(zone => `<option value="${zone}"></option>`).join('');
+    }
+
+    const onChange = () => {
+        namedInput.style.display = select.value === 'named' ? 'block' : 'none';
+        if (select.value === 'named' && namedInput.value && !isValidTimeZone(namedInput.value.trim())) {
+            showNotification(`Unknown timezone "${namedInput.value}", using the browser's zone`, 'error');
+        }
+        localStorage.setItem('displayTimeZone', JSON.stringify({ mode: select.value, zone: namedInput.value.trim() }));
+        onDisplayTimeZoneChange();
+    };
+    select.addEventListener('change', onChange);
+    namedInput.addEventListener('change', onChange);
+    namedInput.style.display = select.value === 'named' ? 'block' : 'none';
+}
+
+// Periods keep their instants; only how they are shown and entered changes
+function onDisplayTimeZoneChange() {
+    const dateRangeSpan = document.getElementById('dateRange');
+    if (dateRangeSpan && window.globalDateRange) {
+        dateRangeSpan.textContent = `${formatDisplayDate(window.globalDateRange.min.getTime())} to ${formatDisplayDate(window.globalDateRange.max.getTime())}`;
+    }
+    resetAutoSplitRange();
+    renderPeriods();
+    updatePeriodsSummary();
+    refreshMapAndDownloadSections();
+}
+
+function formatDateTimeLocal(date) {
+    // Ensure date is a Date object
+    if (!(date instanceof Date)) {
+        date = new Date(date);
+    }
+    
+    // Check if date is valid
+    if (isNaN(date.getTime())) {
+        console.error('Invalid date passed to formatDateTimeLocal:', date);
+        return '';
+    }
+    
+    // Shown in the display timezone rather than the browser's
+    const wall = toDisplayWallClock(date.getTime());
+    const year = wall.getUTCFullYear();
+    const month = String(wall.getUTCMonth() + 1).padStart(2, '0');
+    const day = String(wall.getUTCDate()).padStart(2, '0');
+    const hours = String(wall.getUTCHours()).padStart(2, '0');
+    const minutes = String(wall.getUTCMinutes()).padStart(2, '0');
+    return `${year}-${month}-${day}T${hours}:${minutes}`;
+}
+
+// Processing functionality
+function initializeProcessing() {
+    processBtn.addEventListener('click', processPeriods);
+}
+
+function processPeriods() {
     if (periods.length === 0) {
         showError('No periods selected for processing.');
         return;
@@ -922,17 +2706,42 @@ function processPeriods() {
     const progressFill = document.getElementById('progressFill');
     const progressText = document.getElementById('progressText');
     
+    const formats = getSelectedOutputFormats();
+    if (formats.length === 0) {
+        showError('Please select at least one output format in the KML Settings tab.');
+        return;
+    }
+    
     statusBox.style.display = 'block';
     processBtn.disabled = true;
     
+    // Bundle modes package every period into a single download
+    const downloadMode = document.getElementById('downloadMode').value;
+    if (downloadMode === 'kmz' || downloadMode === 'zip') {
+        downloadBundle(downloadMode)
+            .then(() => {
+                progressText.textContent = 'All periods processed successfully!';
+                showDownloadSection();
+                enableTab('map');
+            })
+            .catch(error => {
+                console.error('Bundle generation failed:', error);
+                progressText.textContent = 'Packaging failed.';
+                showError(error.message);
+            })
+            .finally(() => {
+                processBtn.disabled = false;
+            });
+        return;
+    }
+    
     // Process each period
     let completed = 0;
     const total = periods.length;
     
     periods.forEach((period, index) => {
         setTimeout(() => {
-            const kmlContent = generateKML(period);
-            downloadKML(kmlContent, `period${period.id}_output.kml`);
+            formats.forEach(format => downloadPeriodFile(period.id, format));
             
             completed++;
             const progress = (completed / total) * 100;
@@ -948,28 +2757,512 @@ function processPeriods() {
     });
 }
 
-function generateKML(period) {
-    const locations = window.convertedLocations || locationData.locations;
-    if (!locations) return '';
+function getPeriodLocations(period) {
+    return getCleanPeriodLocations(period).locations;
+}
+
+// Last result per period, reused while the data, the period and the settings are unchanged
+const cleanPeriodCache = new WeakMap();
+
+// Time and area filter, cleaning and privacy zones; `removed` counts dropped points per reason
+function getCleanPeriodLocations(period) {
+    const locations = window.convertedLocations || (locationData && locationData.locations);
+    if (!locations) return { locations: [], removed: { accuracy: 0, isolated: 0, speed: 0, privacy: 0 } };
     
-    const startMs = period.startDate.getTime();
-    const endMs = period.endDate.getTime();
+    // The summary, record counts and preview all ask for the same period in one refresh
+    const index = getLocationTimeIndex(locations);
+    const cleaningSettings = getCleaningSettings();
+    const privacySettings = getPrivacySettings();
+    const key = JSON.stringify([
+        period.startDate.getTime(), period.endDate.getTime(), period.recurrence || null, period.area || null,
+        getDisplayTimeZone(), window.recordedOffsetMinutes, cleaningSettings, privacySettings
+    ]);
+    const cached = cleanPeriodCache.get(period);
+    if (cached && cached.index === index && cached.key === key) {
+        return { locations: [...cached.locations], removed: cached.removed };
+    }
     
-    // Filter locations for this period
-    const periodLocations = locations.filter(loc => {
-        const timestamp = parseInt(loc.timestampMs || loc.timestamp);
-        return timestamp >= startMs && timestamp <= endMs;
+    const matches = createPeriodMatcher(period);
+    const inArea = createAreaMatcher(period.area);
+    const first = findFirstIndexAtOrAfter(index.times, period.startDate.getTime());
+    const end = findFirstIndexAtOrAfter(index.times, period.endDate.getTime() + 1);
+    const inPeriod = index.sorted.slice(first, end).filter(loc => matches(parseInt(loc.timestampMs || loc.timestamp)) &&
+        (!inArea || inArea(loc.latitudeE7 / 1e7, loc.longitudeE7 / 1e7)));
+    const cleaned = cleanLocations(inPeriod, cleaningSettings);
+    const privacy = applyPrivacyZones(cleaned.locations, privacySettings);
+    const removed = { ...cleaned.removed, privacy: privacy.removed };
+    cleanPeriodCache.set(period, { index, key, locations: privacy.locations, removed });
+    return { locations: [...privacy.locations], removed };
+}
+
+// The loaded locations sorted by time, built once per dataset, so a period only
+// scans its own range instead of the whole history (auto-split can create hundreds)
+let locationTimeIndex = { source: null, length: 0, sorted: [], times: new Float64Array(0) };
+
+function getLocationTimeIndex(locations) {
+    if (locationTimeIndex.source !== locations || locationTimeIndex.length !== locations.length) {
+        const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+        const sorted = [...locations].sort((a, b) => getTime(a) - getTime(b));
+        locationTimeIndex = {
+            source: locations,
+            length: locations.length,
+            sorted,
+            times: Float64Array.from(sorted, getTime)
+        };
+    }
+    return locationTimeIndex;
+}
+
+// First index whose time is >= `time` (times.length when there is none)
+function findFirstIndexAtOrAfter(times, time) {
+    let low = 0;
+    let high = times.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (times[mid] < time) low = mid + 1;
+        else high = mid;
+    }
+    return low;
+}
+
+// Point cleaning
+const CLEANING_REASONS = {
+    accuracy: 'low accuracy',
+    isolated: 'isolated spike',
+    speed: 'implausible speed',
+    privacy: 'inside a privacy zone'
+};
+
+function getCleaningSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem('cleaningSettings') || '{}');
+    } catch (e) {
+        saved = {};
+    }
+    const enabledInput = document.getElementById('cleanPoints');
+    const maxAccuracy = parseFloat(document.getElementById('cleanMaxAccuracy').value);
+    const isolatedKm = parseFloat(document.getElementById('cleanIsolatedKm').value);
+    const maxSpeedKmh = {};
+    ACTIVITY_MODES.forEach(mode => {
+        const value = parseFloat((saved.maxSpeedKmh || {})[mode.key]);
+        maxSpeedKmh[mode.key] = value > 0 ? value : mode.maxSpeedKmh;
     });
+    return {
+        enabled: enabledInput ? enabledInput.checked : false,
+        maxAccuracy: maxAccuracy > 0 ? maxAccuracy : 200,
+        isolatedMeters: (isolatedKm > 0 ? isolatedKm : 10) * 1000,
+        maxSpeedKmh
+    };
+}
+
+// Drop fixes that cannot be right, in three passes over time-sorted points:
+// 1. accuracy radius above the limit
+// 2. isolated spikes: far from both neighbours while the neighbours are close together
+// 3. implied speed from the last kept point above the limit for the activity type
+//    (skipped across gaps long enough to split the track anyway)
+// Visits are always kept. Returns { locations, removed: { reason: count } }.
+function cleanLocations(locations, settings) {
+    const removed = { accuracy: 0, isolated: 0, speed: 0 };
+    if (!settings.enabled || locations.length === 0) return { locations, removed };
     
-    if (periodLocations.length === 0) return '';
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    const distance = (a, b) => haversineDistanceMeters(a.latitudeE7 / 1e7, a.longitudeE7 / 1e7, b.latitudeE7 / 1e7, b.longitudeE7 / 1e7);
+    const isVisit = loc => loc.source === 'visit';
     
-    // Get KML settings
-    const lineColor = document.getElementById('lineColor').value;
-    const showLabels = document.getElementById('showLabels').checked;
-    const showTickmarks = document.getElementById('showTickmarks').checked;
-    const showTrackpoints = document.getElementById('showTrackpoints').checked;
+    const sorted = [...locations].sort((a, b) => getTime(a) - getTime(b));
+    
+    const accurate = sorted.filter(loc => {
+        if (isVisit(loc) || typeof loc.accuracy !== 'number' || loc.accuracy <= settings.maxAccuracy) return true;
+        removed.accuracy++;
+        return false;
+    });
+    
+    const notIsolated = accurate.filter((loc, i) => {
+        const prev = accurate[i - 1];
+        const next = accurate[i + 1];
+        if (isVisit(loc) || !prev || !next) return true;
+        if (distance(prev, loc) > settings.isolatedMeters &&
+            distance(loc, next) > settings.isolatedMeters &&
+            distance(prev, next) <= settings.isolatedMeters) {
+            removed.isolated++;
+            return false;
+        }
+        return true;
+    });
+    
+    const isPlausible = (from, to) => {
+        const seconds = Math.max(1, (getTime(to) - getTime(from)) / 1000);
+        const mode = getActivityMode(to.activityType) || getActivityMode(from.activityType) || 'other';
+        return distance(from, to) / seconds * 3.6 <= settings.maxSpeedKmh[mode];
+    };
     
-    // Group consecutive locations into track segments based on time gaps
+    // Points rejected in a row; if they agree with each other the last kept
+    // point was the bad one, so they are restored instead of cascading
+    const CONSISTENT_RUN = 3;
+    const kept = [];
+    let rejected = [];
+    notIsolated.forEach(loc => {
+        const last = kept[kept.length - 1];
+        if (!last || isVisit(loc) || getTime(loc) - getTime(last) > getPairGapThresholdMs(last, loc) || isPlausible(last, loc)) {
+            kept.push(loc);
+            rejected = [];
+            return;
+        }
+        if (rejected.length > 0 && !isPlausible(rejected[rejected.length - 1], loc)) rejected = [];
+        rejected.push(loc);
+        removed.speed++;
+        if (rejected.length >= CONSISTENT_RUN) {
+            kept.push(...rejected);
+            removed.speed -= rejected.length;
+            rejected = [];
+        }
+    });
+    
+    return { locations: kept, removed };
+}
+
+// "3 low accuracy, 1 isolated spike"; empty when nothing was removed
+function formatCleaningReport(removed) {
+    return Object.keys(CLEANING_REASONS)
+        .filter(reason => removed[reason] > 0)
+        .map(reason => `${removed[reason].toLocaleString()} ${CLEANING_REASONS[reason]}`)
+        .join(', ');
+}
+
+function initializeCleaningSettings() {
+    if (!document.getElementById('speedLimits')) return;
+    
+    renderSpeedLimits();
+    document.getElementById('resetCleaningSettings').addEventListener('click', () => {
+        localStorage.removeItem('cleaningSettings');
+        document.getElementById('cleanPoints').checked = true;
+        document.getElementById('cleanMaxAccuracy').value = 200;
+        document.getElementById('cleanIsolatedKm').value = 10;
+        renderSpeedLimits();
+        onCleaningSettingsChange();
+    });
+    ['cleanPoints', 'cleanMaxAccuracy', 'cleanIsolatedKm'].forEach(id => {
+        document.getElementById(id).addEventListener('change', onCleaningSettingsChange);
+    });
+}
+
+function renderSpeedLimits() {
+    const container = document.getElementById('speedLimits');
+    const { maxSpeedKmh } = getCleaningSettings();
+    container.innerHTML = ACTIVITY_MODES.map(mode => `
+        <div class="palette-item">
+            <span class="palette-label">${mode.label}</span>
+            <input type="number" id="speedLimit_${mode.key}" value="${maxSpeedKmh[mode.key]}" min="1" step="10" title="${mode.label} max speed (km/h)">
+        </div>
+    `).join('');
+    
+    container.querySelectorAll('input').forEach(input => input.addEventListener('change', () => {
+        const next = {};
+        ACTIVITY_MODES.forEach(mode => {
+            next[mode.key] = parseFloat(document.getElementById(`speedLimit_${mode.key}`).value) || mode.maxSpeedKmh;
+        });
+        localStorage.setItem('cleaningSettings', JSON.stringify({ maxSpeedKmh: next }));
+        onCleaningSettingsChange();
+    }));
+}
+
+// Cleaning changes what every period contains, so refresh counts as well as the map
+function onCleaningSettingsChange() {
+    periods.forEach(period => {
+        const summarySpan = document.getElementById(`periodSummary_${period.id}`);
+        if (summarySpan) summarySpan.textContent = countRecordsInPeriod(period);
+    });
+    updatePeriodsSummary();
+    refreshMapAndDownloadSections();
+}
+
+// Privacy zones
+// Circles around home, work or any other place that every export and the map
+// preview treat specially: 'trim' drops the points inside and ends the track
+// at the zone edge, 'snap' moves them to one fixed decoy point inside the zone,
+// 'jitter' scatters them randomly (but repeatably) around that decoy point.
+// Nothing exported is centred on the real place: trimming uses a circle moved
+// off the centre by a saved random offset, so the edge points do not give it away.
+const PRIVACY_MODES = {
+    trim: 'Trim tracks at the zone edge',
+    snap: 'Snap points to a decoy point inside the zone',
+    jitter: 'Scatter points randomly inside the zone'
+};
+let privacyZones = [];
+let privacyMode = 'trim';
+let privacySuggestions = [];
+
+function getPrivacySettings() {
+    return { mode: privacyMode, zones: privacyZones };
+}
+
+function savePrivacyZones() {
+    localStorage.setItem('privacyZones', JSON.stringify({ mode: privacyMode, zones: privacyZones }));
+}
+
+// Point `meters` away from lat/lon along `bearing` (radians, clockwise from north); fine at zone scale
+function offsetLatLon(lat, lon, meters, bearing) {
+    return {
+        lat: lat + meters * Math.cos(bearing) / 111320,
+        lon: lon + meters * Math.sin(bearing) / (111320 * Math.cos(lat * Math.PI / 180))
+    };
+}
+
+// The decoy and the trim offset are drawn once per zone and saved with it, so
+// points land in the same place on every export
+function createPrivacyZone(name, lat, lon, radiusMeters) {
+    const decoy = offsetLatLon(lat, lon, radiusMeters * (0.3 + Math.random() * 0.5), Math.random() * 2 * Math.PI);
+    return addPrivacyTrimOffset({
+        id: privacyZones.reduce((max, zone) => Math.max(max, zone.id), 0) + 1,
+        name,
+        lat,
+        lon,
+        radiusMeters,
+        decoyLat: decoy.lat,
+        decoyLon: decoy.lon
+    });
+}
+
+// Centre of the trim circle, 20-50% of the radius away from the real centre,
+// which therefore stays at least half a radius inside it
+function addPrivacyTrimOffset(zone) {
+    const centre = offsetLatLon(zone.lat, zone.lon, zone.radiusMeters * (0.2 + Math.random() * 0.3), Math.random() * 2 * Math.PI);
+    return { ...zone, trimLat: centre.lat, trimLon: centre.lon };
+}
+
+// The circle a zone applies to: moved to the trim centre when trimming
+function getPrivacyZoneCentre(zone, mode) {
+    return mode === 'trim' ? { lat: zone.trimLat, lon: zone.trimLon } : { lat: zone.lat, lon: zone.lon };
+}
+
+function findPrivacyZone(loc, zones, mode) {
+    const lat = loc.latitudeE7 / 1e7;
+    const lon = loc.longitudeE7 / 1e7;
+    return zones.find(zone => {
+        const centre = getPrivacyZoneCentre(zone, mode);
+        return haversineDistanceMeters(centre.lat, centre.lon, lat, lon) <= zone.radiusMeters;
+    }) || null;
+}
+
+// Deterministic 0..1 value for a point, so jittered positions do not change between exports
+function seededRandom(seed) {
+    const x = Math.sin(seed) * 43758.5453;
+    return x - Math.floor(x);
+}
+
+// Where the line from `outside` to `inside` crosses the (trim) zone edge, as a
+// new track point with an interpolated timestamp
+function interpolatePrivacyEdge(outside, inside, zone) {
+    const centre = getPrivacyZoneCentre(zone, 'trim');
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    const at = fraction => ({
+        latitudeE7: Math.round(outside.latitudeE7 + (inside.latitudeE7 - outside.latitudeE7) * fraction),
+        longitudeE7: Math.round(outside.longitudeE7 + (inside.longitudeE7 - outside.longitudeE7) * fraction)
+    });
+
+    let low = 0;
+    let high = 1;
+    for (let i = 0; i < 20; i++) {
+        const mid = (low + high) / 2;
+        const point = at(mid);
+        if (haversineDistanceMeters(centre.lat, centre.lon, point.latitudeE7 / 1e7, point.longitudeE7 / 1e7) > zone.radiusMeters) low = mid;
+        else high = mid;
+    }
+
+    return {
+        ...at(low),
+        timestampMs: String(Math.round(getTime(outside) + (getTime(inside) - getTime(outside)) * low)),
+        source: 'privacy_edge',
+        activityType: outside.activityType
+    };
+}
+
+// Apply the zones to time-sorted points. Returns { locations, removed } where
+// `removed` counts points trimmed away. Points are copied, never modified.
+function applyPrivacyZones(locations, settings) {
+    if (settings.zones.length === 0 || locations.length === 0) return { locations, removed: 0 };
+
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    const sorted = [...locations].sort((a, b) => getTime(a) - getTime(b));
+    const zoneOf = sorted.map(loc => findPrivacyZone(loc, settings.zones, settings.mode));
+
+    if (settings.mode !== 'trim') {
+        const moved = sorted.map((loc, i) => {
+            const zone = zoneOf[i];
+            if (!zone) return loc;
+            let target = { lat: zone.decoyLat, lon: zone.decoyLon };
+            if (settings.mode === 'jitter') {
+                // Around the decoy rather than the real centre, and only as far
+                // as the zone edge, so averaging the scatter gives the decoy
+                const seed = getTime(loc) / 1000;
+                const spread = zone.radiusMeters - haversineDistanceMeters(zone.lat, zone.lon, zone.decoyLat, zone.decoyLon);
+                target = offsetLatLon(zone.decoyLat, zone.decoyLon, spread * Math.sqrt(seededRandom(seed)), seededRandom(seed + 1) * 2 * Math.PI);
+            }
+            // Place names and addresses would give the location away as well
+            const { placeName, placeAddress, placeId, ...rest } = loc;
+            return { ...rest, latitudeE7: Math.round(target.lat * 1e7), longitudeE7: Math.round(target.lon * 1e7) };
+        });
+        return { locations: moved, removed: 0 };
+    }
+
+    // Trim: drop inside points, add an edge point where the track enters and
+    // leaves a zone, and mark the leaving edge so the track restarts there
+    const kept = [];
+    let removed = 0;
+    sorted.forEach((loc, i) => {
+        const zone = zoneOf[i];
+        const prev = sorted[i - 1];
+        const prevZone = i > 0 ? zoneOf[i - 1] : null;
+        if (zone) {
+            removed++;
+            if (prev && !prevZone) kept.push(interpolatePrivacyEdge(prev, loc, zone));
+            return;
+        }
+        if (prevZone) kept.push({ ...interpolatePrivacyEdge(loc, prev, prevZone), privacyBreak: true });
+        kept.push(loc);
+    });
+    return { locations: kept, removed };
+}
+
+// Most visited HOME and WORK places in the loaded data that no zone covers yet
+function suggestPrivacyZones(locations) {
+    const places = new Map();
+    locations.forEach(loc => {
+        if (loc.source !== 'visit' || (loc.semanticType !== 'HOME' && loc.semanticType !== 'WORK')) return;
+        const lat = loc.latitudeE7 / 1e7;
+        const lon = loc.longitudeE7 / 1e7;
+        const key = loc.placeId || `${lat.toFixed(3)},${lon.toFixed(3)}`;
+        let place = places.get(key);
+        if (!place) {
+            place = { semanticType: loc.semanticType, latSum: 0, lonSum: 0, count: 0 };
+            places.set(key, place);
+        }
+        place.latSum += lat;
+        place.lonSum += lon;
+        place.count++;
+    });
+
+    const best = {};
+    places.forEach(place => {
+        if (!best[place.semanticType] || place.count > best[place.semanticType].count) best[place.semanticType] = place;
+    });
+
+    return ['HOME', 'WORK']
+        .filter(type => best[type])
+        .map(type => ({
+            name: type === 'HOME' ? 'Home' : 'Work',
+            lat: best[type].latSum / best[type].count,
+            lon: best[type].lonSum / best[type].count,
+            visits: best[type].count
+        }))
+        .filter(suggestion => !findPrivacyZone({ latitudeE7: suggestion.lat * 1e7, longitudeE7: suggestion.lon * 1e7 }, privacyZones));
+}
+
+function initializePrivacyZones() {
+    if (!document.getElementById('privacyZoneList')) return;
+
+    try {
+        const saved = JSON.parse(localStorage.getItem('privacyZones') || 'null');
+        if (saved) {
+            privacyZones = Array.isArray(saved.zones) ? saved.zones : [];
+            if (PRIVACY_MODES[saved.mode]) privacyMode = saved.mode;
+        }
+    } catch (e) {
+        privacyZones = [];
+    }
+    // Zones saved before trimming used an offset circle get their offset now
+    if (privacyZones.some(zone => zone.trimLat === undefined)) {
+        privacyZones = privacyZones.map(zone => zone.trimLat === undefined ? addPrivacyTrimOffset(zone) : zone);
+        savePrivacyZones();
+    }
+
+    const modeSelect = document.getElementById('privacyMode');
+    modeSelect.value = privacyMode;
+    modeSelect.addEventListener('change', () => {
+        privacyMode = modeSelect.value;
+        onPrivacyZonesChange();
+    });
+    document.getElementById('addPrivacyZoneBtn').addEventListener('click', addPrivacyZoneFromInputs);
+    document.getElementById('suggestPrivacyZonesBtn').addEventListener('click', showPrivacySuggestions);
+    document.getElementById('drawPrivacyZoneBtn').addEventListener('click', startDrawingPrivacyZone);
+    renderPrivacyZones();
+}
+
+function getPrivacyRadiusInput() {
+    const radius = parseFloat(document.getElementById('privacyRadius').value);
+    return radius > 0 ? radius : null;
+}
+
+function addPrivacyZoneFromInputs() {
+    const centre = parseLatLngString(document.getElementById('privacyCentre').value.trim());
+    const radius = getPrivacyRadiusInput();
+    if (!centre || !radius) {
+        showError('Please enter the zone centre as "latitude, longitude" and a positive radius.');
+        return;
+    }
+    const name = document.getElementById('privacyName').value.trim() || `Zone ${privacyZones.length + 1}`;
+    privacyZones.push(createPrivacyZone(name, centre.lat, centre.lon, radius));
+    document.getElementById('privacyCentre').value = '';
+    document.getElementById('privacyName').value = '';
+    onPrivacyZonesChange();
+}
+
+function showPrivacySuggestions() {
+    const locations = window.convertedLocations || (locationData && locationData.locations);
+    const suggestionsDiv = document.getElementById('privacySuggestions');
+    if (!locations || locations.length === 0) {
+        showError('Please load a location history file first.');
+        return;
+    }
+
+    privacySuggestions = suggestPrivacyZones(locations);
+    suggestionsDiv.innerHTML = privacySuggestions.length === 0
+        ? '<p>No uncovered HOME or WORK visits found in the loaded data.</p>'
+        : privacySuggestions.map((suggestion, index) => `
+            <div class="privacy-zone-item">
+                <span>${suggestion.name}: ${suggestion.lat.toFixed(4)}°, ${suggestion.lon.toFixed(4)}° (${suggestion.visits.toLocaleString()} visits)</span>
+                <button type="button" class="btn btn-outline" onclick="addSuggestedPrivacyZone(${index})">Add</button>
+            </div>`).join('');
+    suggestionsDiv.style.display = 'block';
+}
+
+function addSuggestedPrivacyZone(index) {
+    const suggestion = privacySuggestions[index];
+    if (!suggestion) return;
+    privacyZones.push(createPrivacyZone(suggestion.name, suggestion.lat, suggestion.lon, getPrivacyRadiusInput() || 300));
+    privacySuggestions.splice(index, 1);
+    showPrivacySuggestions();
+    onPrivacyZonesChange();
+}
+
+function removePrivacyZone(zoneId) {
+    privacyZones = privacyZones.filter(zone => zone.id !== zoneId);
+    onPrivacyZonesChange();
+}
+
+function renderPrivacyZones() {
+    const list = document.getElementById('privacyZoneList');
+    list.innerHTML = privacyZones.length === 0
+        ? '<p class="setting-hint">No privacy zones yet. Points are exported exactly as recorded.</p>'
+        : privacyZones.map(zone => `
+            <div class="privacy-zone-item">
+                <span>${escapeXML(zone.name)}: ${zone.lat.toFixed(4)}°, ${zone.lon.toFixed(4)}°, ${formatDistance(zone.radiusMeters)}</span>
+                <button type="button" class="btn btn-outline" onclick="removePrivacyZone(${zone.id})">Remove</button>
+            </div>`).join('');
+}
+
+// Zones change what every period contains, like the cleaning settings
+function onPrivacyZonesChange() {
+    savePrivacyZones();
+    renderPrivacyZones();
+    showMapPrivacyZones();
+    onCleaningSettingsChange();
+}
+
+// Group consecutive locations into track segments based on time gaps.
+// Sorts periodLocations in place; returns arrays of at least 2 points each.
+function buildTrackSegments(periodLocations) {
     const trackSegments = [];
     let currentSegment = [];
 
@@ -994,7 +3287,7 @@ function generateKML(period) {
         if (!isValidCoord(latRaw, lonRaw)) continue;
 
         // Drop consecutive duplicates (same coord as previous retained point)
-        if (lastLat !== null && lastLon !== null && Math.abs(latRaw - lastLat) < 1e-7 && Math.abs(lonRaw - lastLon) < 1e-7) {
+        if (!loc.privacyBreak && lastLat !== null && lastLon !== null && Math.abs(latRaw - lastLat) < 1e-7 && Math.abs(lonRaw - lastLon) < 1e-7) {
             continue;
         }
 
@@ -1006,8 +3299,8 @@ function generateKML(period) {
             const timeDiff = ts - lastTs;
             const gapMs = getPairGapThresholdMs(last, loc);
 
-            // Break segment if gap exceeds threshold for the mode
-            if (timeDiff > gapMs) {
+            // Break segment if gap exceeds threshold for the mode, or where a track leaves a privacy zone
+            if (timeDiff > gapMs || loc.privacyBreak) {
                 if (currentSegment.length >= 2) {
                     trackSegments.push([...currentSegment]);
                 }
@@ -1026,79 +3319,627 @@ function generateKML(period) {
         trackSegments.push(currentSegment);
     }
 
-    // Debug logging
-    console.log(`Period ${period.id}: ${periodLocations.length} locations -> ${trackSegments.length} track segments`);
-    trackSegments.forEach((seg, i) => {
-        console.log(`  Segment ${i}: ${seg.length} points`);
-    });
-    
-    // Generate KML content with organized folders
-    let kml = `<?xml version="1.0" encoding="UTF-8"?>
-<kml xmlns="http://www.opengis.net/kml/2.2">
-  <Document>
-    <name>Location History - Period ${period.id}</name>
-    <description>Generated from Google Location History</description>
-    
-    <Style id="trackLineStyle">
-      <LineStyle>
-        <color>${getKMLColor(lineColor)}</color>
-        <width>6</width>
-      </LineStyle>
-    </Style>
-    
-    <Style id="pointStyle">
-      <IconStyle>
-        <scale>0.8</scale>
-      </IconStyle>
-      <LabelStyle>
-        <scale>${showLabels ? '1.0' : '0.0'}</scale>
-      </LabelStyle>
-    </Style>
-    
-    <!-- Tracks Folder -->
-    <Folder>
-      <name>Tracks</name>
-      <description>Movement tracks for period ${period.id}</description>
-      <open>1</open>
-      
-      ${trackSegments.map((segment, segmentIndex) => {
-        const startTime = new Date(parseInt(segment[0].timestampMs || segment[0].timestamp));
-        const endTime = new Date(parseInt(segment[segment.length - 1].timestampMs || segment[segment.length - 1].timestamp));
-        const timeRange = startTime.toLocaleDateString() + ' ' + startTime.toLocaleTimeString() + ' - ' + endTime.toLocaleTimeString();
-        
-        // Build coordinates string - ensure proper formatting for Google Earth
-        let coordinates = '';
-        segment.forEach(loc => {
-            if (loc.longitudeE7 && loc.latitudeE7) {
-                const lon = (loc.longitudeE7 / 10000000).toFixed(6);
-                const lat = (loc.latitudeE7 / 10000000).toFixed(6);
-                coordinates += `\n            ${lon},${lat},0`;
+    return trackSegments;
+}
+
+// Track simplification
+function getSimplificationSettings() {
+    const modeSelect = document.getElementById('simplifyMode');
+    const tolerance = parseFloat(document.getElementById('simplifyTolerance').value);
+    const target = parseInt(document.getElementById('simplifyTarget').value);
+    return {
+        mode: modeSelect ? modeSelect.value : 'none',
+        toleranceMeters: tolerance > 0 ? tolerance : 10,
+        targetPoints: target > 1 ? target : 5000
+    };
+}
+
+// Douglas-Peucker importance of every point: the tolerance (in metres) above
+// which the point would be dropped. Endpoints are Infinity. Filtering with
+// `importance > tolerance` gives the classic Douglas-Peucker result, and
+// sorting by importance gives the best N points for a target count.
+function computeDouglasPeuckerImportance(points) {
+    const importance = new Float64Array(points.length);
+    if (points.length === 0) return importance;
+    importance[0] = Infinity;
+    importance[points.length - 1] = Infinity;
+
+    // Local equirectangular projection in metres around the first point
+    const cosLat = Math.cos(points[0].latitudeE7 / 1e7 * Math.PI / 180);
+    const xs = points.map(loc => loc.longitudeE7 / 1e7 * 111320 * cosLat);
+    const ys = points.map(loc => loc.latitudeE7 / 1e7 * 110540);
+
+    // Iterative to cope with segments of hundreds of thousands of points
+    const stack = [[0, points.length - 1, Infinity]];
+    while (stack.length > 0) {
+        const [first, last, parentImportance] = stack.pop();
+        if (last - first < 2) continue;
+
+        const dx = xs[last] - xs[first];
+        const dy = ys[last] - ys[first];
+        const length = Math.sqrt(dx * dx + dy * dy);
+        let maxDistance = -1;
+        let maxIndex = first + 1;
+
+        for (let i = first + 1; i < last; i++) {
+            const distance = length === 0
+                ? Math.hypot(xs[i] - xs[first], ys[i] - ys[first])
+                : Math.abs(dy * (xs[i] - xs[first]) - dx * (ys[i] - ys[first])) / length;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                maxIndex = i;
             }
-        });
-        
-        return `
-      <Placemark>
-        <name>${timeRange}</name>
-        <description>Track segment ${segmentIndex + 1} with ${segment.length} points</description>
-        <styleUrl>#trackLineStyle</styleUrl>
-        <LineString>
-          <tessellate>1</tessellate>
-          <altitudeMode>clampToGround</altitudeMode>
-          <coordinates>${coordinates}
-          </coordinates>
-        </LineString>
+        }
+
+        // Capped by the parent so a point never outlives the split that created its range
+        const value = Math.min(maxDistance, parentImportance);
+        importance[maxIndex] = value;
+        stack.push([first, maxIndex, value], [maxIndex, last, value]);
+    }
+    return importance;
+}
+
+// Simplify each segment by tolerance, or keep the `targetPoints` most
+// important points across all segments. Segments keep their endpoints.
+function simplifyTrackSegments(trackSegments, settings) {
+    if (settings.mode === 'none' || trackSegments.length === 0) return trackSegments;
+
+    const importances = trackSegments.map(computeDouglasPeuckerImportance);
+    let keep = (segmentIndex, i) => importances[segmentIndex][i] > settings.toleranceMeters;
+
+    if (settings.mode === 'target') {
+        const interior = [];
+        importances.forEach((values, segmentIndex) => values.forEach((value, i) => {
+            if (isFinite(value)) interior.push([segmentIndex, i]);
+        }));
+        // Endpoints are always kept, so a target below two per segment keeps only them
+        const budget = Math.max(0, settings.targetPoints - trackSegments.length * 2);
+        if (budget >= interior.length) return trackSegments;
+
+        // Importances are capped by their parent split, so many points tie;
+        // rank them (earlier points first within a tie) and cut by count
+        interior.sort(([segmentA, a], [segmentB, b]) =>
+            importances[segmentB][b] - importances[segmentA][a] || segmentA - segmentB || a - b);
+        const kept = trackSegments.map(() => new Set());
+        interior.slice(0, budget).forEach(([segmentIndex, i]) => kept[segmentIndex].add(i));
+        keep = (segmentIndex, i) => kept[segmentIndex].has(i);
+    }
+
+    return trackSegments
+        .map((segment, segmentIndex) => segment.filter((loc, i) =>
+            i === 0 || i === segment.length - 1 || keep(segmentIndex, i)))
+        .filter(segment => segment.length >= 2);
+}
+
+// Track segments for export and display, after simplification
+function getSimplifiedTrackSegments(periodLocations) {
+    return simplifyTrackSegments(buildTrackSegments(periodLocations), getSimplificationSettings());
+}
+
+// Rough KML size in bytes from what buildKMLParts() writes per item
+const KML_SIZE_ESTIMATE = {
+    base: 3000,
+    perSegment: 900,
+    perCoordinate: 35,
+    perTimedCoordinate: 95,
+    perPointPlacemark: 400
+};
+
+function estimateKMLSize(trackSegments, pointPlacemarks) {
+    const timeEnabled = document.getElementById('timeEnabledKML').checked;
+    const coordinates = trackSegments.reduce((sum, segment) => sum + segment.length, 0);
+    return KML_SIZE_ESTIMATE.base +
+        trackSegments.length * KML_SIZE_ESTIMATE.perSegment +
+        coordinates * (timeEnabled ? KML_SIZE_ESTIMATE.perTimedCoordinate : KML_SIZE_ESTIMATE.perCoordinate) +
+        pointPlacemarks * KML_SIZE_ESTIMATE.perPointPlacemark;
+}
+
+// Before/after point counts and estimated KML size per period in the Settings preview box
+function updateKMLPreview() {
+    const preview = document.getElementById('kmlPreview');
+    if (!preview) return;
+
+    if (periods.length === 0) {
+        preview.innerHTML = '<p>Your KML files will be generated with these settings.</p>';
+        return;
+    }
+
+    const settings = getSimplificationSettings();
+    const writesPoints = ['showLabels', 'showTrackpoints'].some(id => document.getElementById(id).checked);
+
+    const rows = periods.map(period => {
+        const periodLocations = getPeriodLocations(period);
+        const before = buildTrackSegments(periodLocations);
+        const after = simplifyTrackSegments(before, settings);
+        const beforeCount = before.reduce((sum, segment) => sum + segment.length, 0);
+        const afterCount = after.reduce((sum, segment) => sum + segment.length, 0);
+        const beforeSize = estimateKMLSize(before, writesPoints ? periodLocations.length : 0);
+        const afterSize = estimateKMLSize(after, writesPoints ? (settings.mode === 'none' ? periodLocations.length : afterCount) : 0);
+
+        return `
+            <tr>
+                <td>Period ${period.id}</td>
+                <td>${beforeCount.toLocaleString()} → ${afterCount.toLocaleString()}</td>
+                <td>~${formatFileSize(beforeSize)} → ~${formatFileSize(afterSize)}</td>
+            </tr>`;
+    }).join('');
+
+    preview.innerHTML = `
+        <p>Your KML files will be generated with these settings.</p>
+        <table class="preview-table">
+            <thead>
+                <tr><th>Period</th><th>Track points</th><th>Estimated KML size</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>`;
+}
+
+function initializeSimplification() {
+    const modeSelect = document.getElementById('simplifyMode');
+    if (!modeSelect) return;
+
+    const updateVisibility = () => {
+        document.getElementById('simplifyToleranceField').style.display = modeSelect.value === 'tolerance' ? 'flex' : 'none';
+        document.getElementById('simplifyTargetField').style.display = modeSelect.value === 'target' ? 'flex' : 'none';
+    };
+
+    modeSelect.addEventListener('change', () => {
+        updateVisibility();
+        updateKMLPreview();
+        refreshMapAndDownloadSections();
+    });
+    ['simplifyTolerance', 'simplifyTarget'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            updateKMLPreview();
+            refreshMapAndDownloadSections();
+        });
+    });
+    ['showLabels', 'showTrackpoints', 'timeEnabledKML'].forEach(id => {
+        document.getElementById(id).addEventListener('change', updateKMLPreview);
+    });
+    updateVisibility();
+}
+
+// Tickmarks: points along the tracks every N km (labelled with the
+// cumulative distance) or every N minutes (labelled with the clock time).
+// Long periods would give tens of thousands of them, so the interval is raised
+// to the next round step that keeps at most MAX_TICKMARKS.
+const MAX_TICKMARKS = 500;
+const TICKMARK_STEPS = {
+    distance: [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100, 200, 500, 1000, 2000, 5000],
+    time: [1, 2, 5, 10, 15, 30, 60, 120, 180, 360, 720, 1440, 2880, 10080]
+};
+
+function getTickmarkSettings() {
+    const interval = parseFloat(document.getElementById('tickmarkInterval').value);
+    return {
+        enabled: document.getElementById('showTickmarks').checked,
+        mode: document.getElementById('tickmarkMode').value === 'time' ? 'time' : 'distance',
+        interval: interval > 0 ? interval : 1
+    };
+}
+
+function initializeTickmarks() {
+    const checkbox = document.getElementById('showTickmarks');
+    if (!document.getElementById('tickmarkSettings')) return;
+    
+    const updateVisibility = () => {
+        document.getElementById('tickmarkSettings').style.display = checkbox.checked ? 'flex' : 'none';
+    };
+    
+    checkbox.addEventListener('change', () => {
+        updateVisibility();
+        refreshMapAndDownloadSections();
+    });
+    ['tickmarkInterval', 'tickmarkMode'].forEach(id => {
+        document.getElementById(id).addEventListener('change', refreshMapAndDownloadSections);
+    });
+    updateVisibility();
+}
+
+function formatTickmarkInterval(mode, interval) {
+    if (mode === 'distance') return `${interval} km`;
+    return interval % 60 === 0 ? `${interval / 60} h` : `${interval} min`;
+}
+
+// The requested interval, or the smallest round step above it that keeps the
+// tracks under MAX_TICKMARKS
+function fitTickmarkInterval(trackSegments, settings) {
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    let total = 0;
+    trackSegments.forEach(segment => {
+        if (settings.mode === 'time') {
+            total += (getTime(segment[segment.length - 1]) - getTime(segment[0])) / 60000;
+            return;
+        }
+        for (let i = 1; i < segment.length; i++) {
+            total += haversineDistanceMeters(segment[i - 1].latitudeE7 / 1e7, segment[i - 1].longitudeE7 / 1e7, segment[i].latitudeE7 / 1e7, segment[i].longitudeE7 / 1e7) / 1000;
+        }
+    });
+
+    const needed = total / MAX_TICKMARKS;
+    if (settings.interval >= needed) return settings.interval;
+    return TICKMARK_STEPS[settings.mode].find(step => step >= needed) || Math.ceil(needed);
+}
+
+// Returns { ticks: [{ latitude, longitude, timestampMs, label }], interval, requestedInterval }
+// with the ticks interpolated between track points, at the interval fitTickmarkInterval() allows.
+// Distance keeps counting across segments; time ticks fall on display-timezone clock multiples of the interval.
+function computeTickmarks(trackSegments, settings) {
+    const interval = fitTickmarkInterval(trackSegments, settings);
+    const ticks = [];
+    const result = { ticks, interval, requestedInterval: settings.interval };
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    const interpolate = (a, b, fraction) => ({
+        latitude: (a.latitudeE7 + (b.latitudeE7 - a.latitudeE7) * fraction) / 1e7,
+        longitude: (a.longitudeE7 + (b.longitudeE7 - a.longitudeE7) * fraction) / 1e7,
+        timestampMs: getTime(a) + (getTime(b) - getTime(a)) * fraction
+    });
+
+    if (settings.mode === 'distance') {
+        const intervalMeters = interval * 1000;
+        let travelled = 0;
+        let next = intervalMeters;
+
+        trackSegments.forEach(segment => {
+            for (let i = 1; i < segment.length; i++) {
+                const a = segment[i - 1];
+                const b = segment[i];
+                const meters = haversineDistanceMeters(a.latitudeE7 / 1e7, a.longitudeE7 / 1e7, b.latitudeE7 / 1e7, b.longitudeE7 / 1e7);
+                while (meters > 0 && travelled + meters >= next) {
+                    ticks.push({ ...interpolate(a, b, (next - travelled) / meters), label: `${Number((next / 1000).toFixed(2))} km` });
+                    next += intervalMeters;
+                }
+                travelled += meters;
+            }
+        });
+        return result;
+    }
+
+    const intervalMs = interval * 60000;
+    trackSegments.forEach(segment => {
+        for (let i = 1; i < segment.length; i++) {
+            const a = segment[i - 1];
+            const b = segment[i];
+            const startMs = getTime(a);
+            const endMs = getTime(b);
+            if (endMs <= startMs) continue;
+
+            // Shift into the display timezone so hourly ticks land on the hour there
+            const offsetMs = getDisplayOffsetMinutes(startMs, a) * 60000;
+            let tick = Math.floor((startMs + offsetMs) / intervalMs) * intervalMs + intervalMs - offsetMs;
+            for (; tick <= endMs; tick += intervalMs) {
+                const point = interpolate(a, b, (tick - startMs) / (endMs - startMs));
+                const label = formatDisplayTime(tick, a, { hour: '2-digit', minute: '2-digit' });
+                ticks.push({ ...point, label });
+            }
+        }
+    });
+    return result;
+}
+
+// Note for when the interval had to be raised, or '' when it was not
+function describeRaisedTickmarkInterval(tickmarks, mode) {
+    if (tickmarks.interval === tickmarks.requestedInterval) return '';
+    return `Tickmarks every ${formatTickmarkInterval(mode, tickmarks.interval)} instead of ${formatTickmarkInterval(mode, tickmarks.requestedInterval)}, to keep at most ${MAX_TICKMARKS}`;
+}
+
+// Tickmarks folder with its own small-dot style
+function buildKMLTickmarksFolder(tickmarks, mode, timeEnabled) {
+    const styles = {
+        tickmarkStyle: `<Style id="tickmarkStyle">
+      <IconStyle>
+        <scale>0.5</scale>
+        <Icon>
+          <href>http://maps.google.com/mapfiles/kml/shapes/placemark_circle.png</href>
+        </Icon>
+      </IconStyle>
+      <LabelStyle>
+        <scale>0.7</scale>
+      </LabelStyle>
+    </Style>`
+    };
+
+    const note = describeRaisedTickmarkInterval(tickmarks, mode);
+    const placemarks = tickmarks.ticks.map(tick => {
+        const time = new Date(tick.timestampMs);
+        return `
+      <Placemark>
+        <name>${escapeXML(tick.label)}</name>
+        <description>Time: ${time.toISOString()}</description>${timeEnabled ? `
+        <TimeStamp>
+          <when>${time.toISOString()}</when>
+        </TimeStamp>` : ''}
+        <styleUrl>#tickmarkStyle</styleUrl>
+        <Point>
+          <coordinates>${tick.longitude.toFixed(6)},${tick.latitude.toFixed(6)},0</coordinates>
+        </Point>
       </Placemark>`;
-    }).join('')}
+    }).join('');
+
+    return {
+        styles,
+        content: `<!-- Tickmarks Folder -->
+    <Folder>
+      <name>Tickmarks</name>
+      <open>0</open>${note ? `
+      <description>${escapeXML(note)}</description>` : ''}
+      ${placemarks}
+    </Folder>`
+    };
+}
+
+// Outline of a period's spatial filter, so the export shows what it was cut to
+function buildKMLAreaFolder(area) {
+    const styles = {
+        areaStyle: `<Style id="areaStyle">
+      <LineStyle>
+        <color>${hexToKMLColor('#0d6efd')}</color>
+        <width>2</width>
+      </LineStyle>
+      <PolyStyle>
+        <fill>0</fill>
+      </PolyStyle>
+    </Style>`
+    };
+
+    const coordinates = getAreaOutline(area).map(([lat, lon]) => `${lon.toFixed(6)},${lat.toFixed(6)},0`).join(' ');
+    return {
+        styles,
+        content: `<!-- Area Folder -->
+    <Folder>
+      <name>Area Filter</name>
+      <open>0</open>
+      <Placemark>
+        <name>${escapeXML(describePeriodArea(area))}</name>
+        <styleUrl>#areaStyle</styleUrl>
+        <Polygon>
+          <tessellate>1</tessellate>
+          <outerBoundaryIs>
+            <LinearRing>
+              <coordinates>${coordinates}</coordinates>
+            </LinearRing>
+          </outerBoundaryIs>
+        </Polygon>
+      </Placemark>
+    </Folder>`
+    };
+}
+
+// Trip statistics
+// Pairs slower than this count as stationary (GPS jitter while standing still)
+const MOVING_SPEED_THRESHOLD_MPS = 0.5;
+
+// Distance, elapsed/moving time and speeds over one or more track segments.
+// The per-activity breakdown uses the same runs as the activity styling.
+function computeTrackStats(trackSegments) {
+    const stats = {
+        segmentCount: trackSegments.length,
+        pointCount: 0,
+        distanceMeters: 0,
+        movingMeters: 0,
+        elapsedMs: 0,
+        movingMs: 0,
+        maxSpeedMps: 0,
+        avgSpeedMps: 0,
+        distanceByActivity: {}
+    };
+    if (trackSegments.length === 0) return stats;
+    
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    
+    trackSegments.forEach(segment => {
+        stats.pointCount += segment.length;
+        
+        splitSegmentByActivity(segment).forEach(run => {
+            for (let i = 1; i < run.points.length; i++) {
+                const a = run.points[i - 1];
+                const b = run.points[i];
+                const meters = haversineDistanceMeters(a.latitudeE7 / 1e7, a.longitudeE7 / 1e7, b.latitudeE7 / 1e7, b.longitudeE7 / 1e7);
+                const ms = getTime(b) - getTime(a);
+                const speed = ms > 0 ? meters / (ms / 1000) : 0;
+                
+                stats.distanceMeters += meters;
+                stats.distanceByActivity[run.mode] = (stats.distanceByActivity[run.mode] || 0) + meters;
+                if (speed >= MOVING_SPEED_THRESHOLD_MPS) {
+                    stats.movingMeters += meters;
+                    stats.movingMs += ms;
+                    stats.maxSpeedMps = Math.max(stats.maxSpeedMps, speed);
+                }
+            }
+        });
+    });
+    
+    const first = trackSegments[0][0];
+    const lastSegment = trackSegments[trackSegments.length - 1];
+    stats.elapsedMs = getTime(lastSegment[lastSegment.length - 1]) - getTime(first);
+    // Jitter while standing still adds distance but no moving time, so it is left out of the average
+    stats.avgSpeedMps = stats.movingMs > 0 ? stats.movingMeters / (stats.movingMs / 1000) : 0;
+    return stats;
+}
+
+function formatDistance(meters) {
+    if (meters < 1000) return `${Math.round(meters)} m`;
+    return `${(meters / 1000).toFixed(meters < 100000 ? 2 : 0)} km`;
+}
+
+// Speeds follow the units picked for speed colouring
+function formatSpeed(mps) {
+    const units = SPEED_UNITS[document.getElementById('speedUnits').value] || SPEED_UNITS.kmh;
+    return `${(mps * units.factor).toFixed(1)} ${units.label}`;
+}
+
+// "Walking 2.10 km, Bus 5.40 km", longest first
+function formatActivityBreakdown(stats) {
+    return ACTIVITY_MODES
+        .filter(mode => stats.distanceByActivity[mode.key] > 0)
+        .sort((a, b) => stats.distanceByActivity[b.key] - stats.distanceByActivity[a.key])
+        .map(mode => `${mode.label} ${formatDistance(stats.distanceByActivity[mode.key])}`)
+        .join(', ');
+}
+
+// Multi-line summary used by the map popups and KML descriptions
+function formatTrackStatsHtml(stats) {
+    const breakdown = formatActivityBreakdown(stats);
+    return [
+        `Distance: ${formatDistance(stats.distanceMeters)}`,
+        `Elapsed time: ${formatDuration(stats.elapsedMs)}`,
+        `Moving time: ${formatDuration(stats.movingMs)}`,
+        `Average speed: ${formatSpeed(stats.avgSpeedMps)}`,
+        `Max speed: ${formatSpeed(stats.maxSpeedMps)}`,
+        breakdown ? `By activity: ${breakdown}` : ''
+    ].filter(Boolean).join('<br/>');
+}
+
+// Machine-readable copy of the stats for KML <ExtendedData>
+function buildKMLStatsExtendedData(stats) {
+    const fields = {
+        distanceKm: (stats.distanceMeters / 1000).toFixed(3),
+        elapsedMinutes: Math.round(stats.elapsedMs / 60000),
+        movingMinutes: Math.round(stats.movingMs / 60000),
+        avgSpeedKmh: (stats.avgSpeedMps * 3.6).toFixed(1),
+        maxSpeedKmh: (stats.maxSpeedMps * 3.6).toFixed(1),
+        pointCount: stats.pointCount
+    };
+    ACTIVITY_MODES.forEach(mode => {
+        if (stats.distanceByActivity[mode.key] > 0) {
+            fields[`distanceKm_${mode.key}`] = (stats.distanceByActivity[mode.key] / 1000).toFixed(3);
+        }
+    });
+    
+    return `<ExtendedData>${Object.entries(fields).map(([name, value]) => `
+          <Data name="${name}"><value>${value}</value></Data>`).join('')}
+        </ExtendedData>`;
+}
+
+function generateKML(period) {
+    const parts = buildKMLParts(period);
+    if (!parts) return '';
+    
+    return wrapKMLDocument(`Location History - Period ${period.id}`, parts.styles, parts.content);
+}
+
+// Wrap styles and folder content in a complete KML document
+function wrapKMLDocument(name, styles, content) {
+    const timeEnabled = document.getElementById('timeEnabledKML').checked;
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2"${timeEnabled ? ' xmlns:gx="http://www.google.com/kml/ext/2.2"' : ''}>
+  <Document>
+    <name>${name}</name>
+    <description>Generated from Google Location History. Times are shown in ${escapeXML(describeDisplayTimeZone())}.</description>
+    ${Object.values(styles).join('\n    ')}
+    ${content}
+  </Document>
+</kml>`;
+}
+
+// Build the shared styles (keyed by style id) and the folder content for one period.
+// Returns null when the period has no locations.
+function buildKMLParts(period) {
+    // Filter locations for this period
+    const periodLocations = getPeriodLocations(period);
+    
+    if (periodLocations.length === 0) return null;
+    
+    // Get KML settings
+    const lineColor = document.getElementById('lineColor').value;
+    const showLabels = document.getElementById('showLabels').checked;
+    const tickmarkSettings = getTickmarkSettings();
+    const showTrackpoints = document.getElementById('showTrackpoints').checked;
+    const timeEnabled = document.getElementById('timeEnabledKML').checked;
+    const trackColoring = getTrackColoringMode();
+    const simplification = getSimplificationSettings();
+    
+    const rawSegments = buildTrackSegments(periodLocations);
+    const trackSegments = simplifyTrackSegments(rawSegments, simplification);
+    
+    // With simplification on, the Points folder only keeps the simplified points and visits
+    let pointLocations = periodLocations;
+    if (simplification.mode !== 'none') {
+        const keptPoints = new Set(trackSegments.flat());
+        pointLocations = periodLocations.filter(loc => keptPoints.has(loc) || loc.source === 'visit');
+    }
+
+    // Debug logging
+    console.log(`Period ${period.id}: ${periodLocations.length} locations -> ${trackSegments.length} track segments`);
+    trackSegments.forEach((seg, i) => {
+        console.log(`  Segment ${i}: ${seg.length} points`);
+    });
+    
+    const styles = {
+        trackLineStyle: `<Style id="trackLineStyle">
+      <LineStyle>
+        <color>${getKMLColor(lineColor)}</color>
+        <width>6</width>
+      </LineStyle>
+    </Style>`,
+        pointStyle: `<Style id="pointStyle">
+      <IconStyle>
+        <scale>0.8</scale>
+      </IconStyle>
+      <LabelStyle>
+        <scale>${showLabels ? '1.0' : '0.0'}</scale>
+      </LabelStyle>
+    </Style>`
+    };
+    
+    let trackPlacemarks;
+    if (trackColoring === 'activity') {
+        trackPlacemarks = buildKMLActivityFolders(trackSegments, timeEnabled, styles);
+    } else if (trackColoring === 'speed') {
+        trackPlacemarks = buildKMLSpeedFolders(trackSegments, timeEnabled, styles);
+    } else {
+        trackPlacemarks = trackSegments.map((segment, segmentIndex) => buildKMLSegmentPlacemark(segment, {
+            description: `Track segment ${segmentIndex + 1} with ${segment.length} points`,
+            styleUrl: '#trackLineStyle',
+            timeEnabled
+        })).join('');
+    }
+    
+    const visits = periodLocations.filter(loc => loc.source === 'visit' && loc.longitudeE7 && loc.latitudeE7);
+    const places = buildKMLPlacesFolder(visits, timeEnabled);
+    Object.assign(styles, places.styles);
+    
+    // Tickmarks are measured along every point, not the simplified line
+    let tickmarks = { content: '' };
+    if (tickmarkSettings.enabled) {
+        tickmarks = buildKMLTickmarksFolder(computeTickmarks(rawSegments, tickmarkSettings), tickmarkSettings.mode, timeEnabled);
+        Object.assign(styles, tickmarks.styles);
+    }
+    
+    let areaFolder = { content: '' };
+    if (period.area) {
+        areaFolder = buildKMLAreaFolder(period.area);
+        Object.assign(styles, areaFolder.styles);
+    }
+    
+    // Generate KML content with organized folders
+    const periodStats = computeTrackStats(rawSegments);
+    const content = `<!-- Tracks Folder -->
+    <Folder>
+      <name>Tracks</name>
+      <open>1</open>
+      <description><![CDATA[Movement tracks for period ${period.id}<br/>${formatTrackStatsHtml(periodStats)}]]></description>
+      ${buildKMLStatsExtendedData(periodStats)}
+      
+      ${trackPlacemarks}
     </Folder>
     
+    ${places.content}
+    
+    ${tickmarks.content}
+    
+    ${areaFolder.content}
+    
     <!-- Points Folder -->
-    ${(showLabels || showTickmarks || showTrackpoints) ? `
+    ${(showLabels || showTrackpoints) ? `
     <Folder>
       <name>Points</name>
-      <description>Individual location points for period ${period.id}</description>
       <open>0</open>
+      <description>Individual location points for period ${period.id}</description>
       
-      ${periodLocations.map((loc, index) => {
+      ${pointLocations.map((loc, index) => {
         if (loc.longitudeE7 && loc.latitudeE7) {
             const lon = loc.longitudeE7 / 10000000;
             const lat = loc.latitudeE7 / 10000000;
@@ -1106,12 +3947,17 @@ function generateKML(period) {
             
             return `
       <Placemark>
-        <name>${showLabels ? `Point ${index + 1} - ${timestamp.toLocaleString()}` : `Point ${index + 1}`}</name>
+        <name>${showLabels ? `Point ${index + 1} - ${formatDisplayDateTime(timestamp.getTime(), loc)}` : `Point ${index + 1}`}</name>
         <description>
-          Time: ${timestamp.toISOString()}<br/>
+          Time: ${timestamp.toISOString()}<br/>${loc.placeName ? `
+          Place: ${escapeXML(loc.placeName)}<br/>` : ''}${loc.placeAddress ? `
+          Address: ${escapeXML(loc.placeAddress)}<br/>` : ''}
           Latitude: ${lat}<br/>
           Longitude: ${lon}
-        </description>
+        </description>${timeEnabled ? `
+        <TimeStamp>
+          <when>${timestamp.toISOString()}</when>
+        </TimeStamp>` : ''}
         <styleUrl>#pointStyle</styleUrl>
         <Point>
           <coordinates>${lon},${lat},0</coordinates>
@@ -1120,177 +3966,1623 @@ function generateKML(period) {
         }
         return '';
       }).join('')}
-    </Folder>` : ''}
+    </Folder>` : ''}`;
     
-  </Document>
-</kml>`;
+    return { styles, content };
+}
+
+// A track placemark for one run of points: a LineString, or with time enabled a
+// gx:Track (one <when> per coordinate) inside a folder carrying the segment's TimeSpan
+function buildKMLSegmentPlacemark(segment, { description, styleUrl, timeEnabled }) {
+    const stats = computeTrackStats([segment]);
+    description = `${description}<br/>${formatTrackStatsHtml(stats)}`;
+    const extendedData = buildKMLStatsExtendedData(stats);
+    const startTime = new Date(parseInt(segment[0].timestampMs || segment[0].timestamp));
+    const endTime = new Date(parseInt(segment[segment.length - 1].timestampMs || segment[segment.length - 1].timestamp));
+    const first = segment[0];
+    const last = segment[segment.length - 1];
+    const timeRange = formatDisplayDate(startTime.getTime(), first) + ' ' + formatDisplayTime(startTime.getTime(), first) + ' - ' + formatDisplayTime(endTime.getTime(), last);
+    
+    // Time-enabled output: gx:Track with one <when> per coordinate so
+    // Google Earth's time slider can animate and filter the segment
+    if (timeEnabled) {
+        const whens = segment.map(loc =>
+            `\n            <when>${new Date(parseInt(loc.timestampMs || loc.timestamp)).toISOString()}</when>`).join('');
+        const coords = segment.map(loc =>
+            `\n            <gx:coord>${(loc.longitudeE7 / 10000000).toFixed(6)} ${(loc.latitudeE7 / 10000000).toFixed(6)} 0</gx:coord>`).join('');
+        
+        return `
+      <Folder>
+        <name>${timeRange}</name>
+        <TimeSpan>
+          <begin>${startTime.toISOString()}</begin>
+          <end>${endTime.toISOString()}</end>
+        </TimeSpan>
+        <Placemark>
+          <name>${timeRange}</name>
+          <description><![CDATA[${description}]]></description>
+          <styleUrl>${styleUrl}</styleUrl>
+          ${extendedData}
+          <gx:Track>
+            <altitudeMode>clampToGround</altitudeMode>${whens}${coords}
+          </gx:Track>
+        </Placemark>
+      </Folder>`;
+    }
+    
+    // Build coordinates string - ensure proper formatting for Google Earth
+    let coordinates = '';
+    segment.forEach(loc => {
+        if (loc.longitudeE7 && loc.latitudeE7) {
+            const lon = (loc.longitudeE7 / 10000000).toFixed(6);
+            const lat = (loc.latitudeE7 / 10000000).toFixed(6);
+            coordinates += `\n            ${lon},${lat},0`;
+        }
+    });
+    
+    return `
+      <Placemark>
+        <name>${timeRange}</name>
+        <description><![CDATA[${description}]]></description>
+        <styleUrl>${styleUrl}</styleUrl>
+        ${extendedData}
+        <LineString>
+          <tessellate>1</tessellate>
+          <altitudeMode>clampToGround</altitudeMode>
+          <coordinates>${coordinates}
+          </coordinates>
+        </LineString>
+      </Placemark>`;
+}
+
+// Tracks split into one folder per travel mode, each with its own line style
+function buildKMLActivityFolders(trackSegments, timeEnabled, styles) {
+    const palette = getActivityPalette();
+    const runsByMode = {};
+    
+    trackSegments.forEach((segment, segmentIndex) => {
+        splitSegmentByActivity(segment).forEach(run => {
+            (runsByMode[run.mode] = runsByMode[run.mode] || []).push({ points: run.points, segmentIndex });
+        });
+    });
+    
+    return ACTIVITY_MODES.filter(mode => runsByMode[mode.key]).map(mode => {
+        const styleId = `activityStyle_${mode.key}`;
+        const { color, width } = palette[mode.key];
+        styles[styleId] = `<Style id="${styleId}">
+      <LineStyle>
+        <color>${hexToKMLColor(color)}</color>
+        <width>${width}</width>
+      </LineStyle>
+    </Style>`;
+        
+        const placemarks = runsByMode[mode.key].map(run => buildKMLSegmentPlacemark(run.points, {
+            description: `${mode.label} in track segment ${run.segmentIndex + 1} with ${run.points.length} points`,
+            styleUrl: `#${styleId}`,
+            timeEnabled
+        })).join('');
+        
+        return `
+      <Folder>
+        <name>${mode.label}</name>
+        <open>0</open>
+        ${placemarks}
+      </Folder>`;
+    }).join('');
+}
+
+// Tracks split into speed-graded sub-lines, one folder per segment
+function buildKMLSpeedFolders(trackSegments, timeEnabled, styles) {
+    const settings = getSpeedSettings();
+    const unitLabel = SPEED_UNITS[settings.units].label;
+    
+    for (let bin = 0; bin < SPEED_BINS; bin++) {
+        styles[`speedStyle_${bin}`] = `<Style id="speedStyle_${bin}">
+      <LineStyle>
+        <color>${hexToKMLColor(getSpeedBinColor(bin))}</color>
+        <width>6</width>
+      </LineStyle>
+    </Style>`;
+    }
+    
+    return trackSegments.map((segment, segmentIndex) => {
+        const placemarks = splitSegmentBySpeed(segment, settings).map(run => {
+            const range = getSpeedBinRange(run.bin, settings);
+            return buildKMLSegmentPlacemark(run.points, {
+                description: `Average speed ${run.speed.toFixed(1)} ${unitLabel} (${range.from}–${range.to} ${unitLabel} band) over ${run.points.length} points`,
+                styleUrl: `#speedStyle_${run.bin}`,
+                timeEnabled
+            });
+        }).join('');
+        
+        return `
+      <Folder>
+        <name>Track segment ${segmentIndex + 1}</name>
+        <open>0</open>
+        ${placemarks}
+      </Folder>`;
+    }).join('');
+}
+
+// Icons for visit semantic types (HOME, WORK, ...) in the "Places" folder
+const PLACE_ICONS = {
+    HOME: 'https://maps.google.com/mapfiles/kml/paddle/H.png',
+    WORK: 'https://maps.google.com/mapfiles/kml/paddle/W.png',
+    SEARCHED_ADDRESS: 'https://maps.google.com/mapfiles/kml/paddle/ylw-stars.png',
+    ALIASED_LOCATION: 'https://maps.google.com/mapfiles/kml/paddle/purple-stars.png',
+    UNKNOWN: 'https://maps.google.com/mapfiles/kml/paddle/wht-blank.png'
+};
+
+function getPlaceIconKey(semanticType) {
+    const type = semanticType || 'UNKNOWN';
+    if (type.includes('HOME')) return 'HOME';
+    if (type.includes('WORK')) return 'WORK';
+    return PLACE_ICONS[type] ? type : 'UNKNOWN';
+}
+
+// "Places" folder: one placemark per visit with arrival, departure, duration and semantic type
+function buildKMLPlacesFolder(visits, timeEnabled) {
+    const styles = {};
+    if (visits.length === 0) return { styles, content: '' };
+    
+    const placemarks = visits.map((loc, index) => {
+        const lon = loc.longitudeE7 / 10000000;
+        const lat = loc.latitudeE7 / 10000000;
+        const arrival = new Date(parseInt(loc.timestampMs || loc.timestamp));
+        const departure = loc.visitEndMs ? new Date(loc.visitEndMs) : null;
+        const semanticType = loc.semanticType || 'UNKNOWN';
+        const iconKey = getPlaceIconKey(semanticType);
+        const styleId = `placeStyle_${iconKey}`;
+        
+        styles[styleId] = `<Style id="${styleId}">
+      <IconStyle>
+        <scale>1.1</scale>
+        <Icon>
+          <href>${PLACE_ICONS[iconKey]}</href>
+        </Icon>
+      </IconStyle>
+    </Style>`;
+        
+        const name = loc.placeName || (semanticType !== 'UNKNOWN' ? semanticType : `Visit ${index + 1}`);
+        
+        return `
+      <Placemark>
+        <name>${escapeXML(name)}</name>
+        <description>
+          Arrival: ${formatDisplayDateTime(arrival.getTime(), loc)}<br/>
+          Departure: ${departure ? formatDisplayDateTime(departure.getTime(), loc) : 'Unknown'}<br/>
+          Duration: ${departure ? formatDuration(departure - arrival) : 'Unknown'}<br/>
+          Semantic type: ${semanticType}<br/>${typeof loc.visitProbability === 'number' ? `
+          Probability: ${(loc.visitProbability * 100).toFixed(0)}%<br/>` : ''}${loc.placeAddress ? `
+          Address: ${escapeXML(loc.placeAddress)}<br/>` : ''}${loc.placeId ? `
+          Place ID: ${escapeXML(loc.placeId)}` : ''}
+        </description>${timeEnabled ? `
+        <TimeSpan>
+          <begin>${arrival.toISOString()}</begin>${departure ? `
+          <end>${departure.toISOString()}</end>` : ''}
+        </TimeSpan>` : ''}
+        <styleUrl>#${styleId}</styleUrl>
+        <Point>
+          <coordinates>${lon},${lat},0</coordinates>
+        </Point>
+      </Placemark>`;
+    }).join('');
+    
+    const content = `<!-- Places Folder -->
+    <Folder>
+      <name>Places</name>
+      <open>1</open>
+      <description>Place visits with arrival, departure and dwell time</description>
+      ${placemarks}
+    </Folder>`;
     
-    return kml;
+    return { styles, content };
 }
 
-function getKMLColor(colorName) {
-    // KML color format is AABBGGRR (alpha, blue, green, red)
-    // Use fully opaque (alpha=ff) colors so lines are visible in Google Earth Web
-    const colors = {
-        red: 'ff0000ff',     // alpha=ff, blue=00, green=00, red=ff
-        blue: 'ffff0000',    // alpha=ff, blue=ff, green=00, red=00
-        green: 'ff00ff00'    // alpha=ff, blue=00, green=ff, red=00
+// One KML document with a folder per period, used for the KMZ bundle
+function generateCombinedKML(periodList) {
+    const styles = {};
+    const folders = periodList.map(period => {
+        const parts = buildKMLParts(period);
+        if (!parts) return '';
+        Object.assign(styles, parts.styles);
+        return `
+    <Folder>
+      <name>Period ${period.id}: ${escapeXML(getPeriodLabel(period))}</name>
+      <open>0</open>
+    ${parts.content}
+    </Folder>`;
+    }).join('');
+    
+    return wrapKMLDocument('Location History - All Periods', styles, folders);
+}
+
+// Escape text for use inside KML/GPX element content
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function getKMLColor(colorName) {
+    // KML color format is AABBGGRR (alpha, blue, green, red)
+    // Use fully opaque (alpha=ff) colors so lines are visible in Google Earth Web
+    const colors = {
+        red: 'ff0000ff',     // alpha=ff, blue=00, green=00, red=ff
+        blue: 'ffff0000',    // alpha=ff, blue=ff, green=00, red=00
+        green: 'ff00ff00'    // alpha=ff, blue=00, green=ff, red=00
+    };
+    return colors[colorName] || 'ffff0000';
+}
+
+function generateGPX(period) {
+    // Filter locations for this period
+    const periodLocations = getPeriodLocations(period);
+    
+    if (periodLocations.length === 0) return '';
+    
+    const trackSegments = getSimplifiedTrackSegments(periodLocations);
+    const visits = periodLocations.filter(loc => loc.source === 'visit' && loc.longitudeE7 && loc.latitudeE7);
+    
+    // GPX wants decimal degrees as attributes and ISO 8601 UTC times
+    const toGPXPoint = (tag, loc, indent) => {
+        const lat = (loc.latitudeE7 / 10000000).toFixed(6);
+        const lon = (loc.longitudeE7 / 10000000).toFixed(6);
+        const time = new Date(parseInt(loc.timestampMs || loc.timestamp)).toISOString();
+        return `${indent}<${tag} lat="${lat}" lon="${lon}">
+${indent}  <time>${time}</time>
+${indent}</${tag}>`;
+    };
+    
+    const waypoints = visits.map((loc, index) => {
+        const lat = (loc.latitudeE7 / 10000000).toFixed(6);
+        const lon = (loc.longitudeE7 / 10000000).toFixed(6);
+        const time = new Date(parseInt(loc.timestampMs || loc.timestamp));
+        return `
+  <wpt lat="${lat}" lon="${lon}">
+    <time>${time.toISOString()}</time>
+    <name>${loc.placeName ? escapeXML(loc.placeName) : `Visit ${index + 1} - ${formatDisplayDateTime(time.getTime(), loc)}`}</name>${loc.placeAddress ? `
+    <desc>${escapeXML(loc.placeAddress)}</desc>` : ''}
+    <type>visit</type>
+  </wpt>`;
+    }).join('');
+    
+    const segments = trackSegments.map(segment => `
+    <trkseg>
+${segment.map(loc => toGPXPoint('trkpt', loc, '      ')).join('\n')}
+    </trkseg>`).join('');
+    
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="Google Location History to KML Converter"
+     xmlns="http://www.topografix.com/GPX/1/1"
+     xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+     xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">
+  <metadata>
+    <name>Location History - Period ${period.id}</name>
+    <desc>Generated from Google Location History</desc>
+    <time>${new Date().toISOString()}</time>
+  </metadata>${waypoints}
+  <trk>
+    <name>Location History - Period ${period.id}</name>
+    <desc>${trackSegments.length} track segments from ${periodLocations.length} points</desc>${segments}
+  </trk>
+</gpx>`;
+}
+
+// Most frequent non-empty value of a location field within a segment
+function getDominantValue(segment, field, fallback = 'unknown') {
+    const counts = {};
+    segment.forEach(loc => {
+        const value = loc[field];
+        if (value) counts[value] = (counts[value] || 0) + 1;
+    });
+    const ranked = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return ranked.length > 0 ? ranked[0] : fallback;
+}
+
+function generateGeoJSON(period) {
+    // Filter locations for this period
+    const periodLocations = getPeriodLocations(period);
+    
+    if (periodLocations.length === 0) return '';
+    
+    const trackSegments = getSimplifiedTrackSegments(periodLocations);
+    const visits = periodLocations.filter(loc => loc.source === 'visit' && loc.longitudeE7 && loc.latitudeE7);
+    
+    // GeoJSON positions are [lon, lat]; keep the same precision as the KML output
+    const toPosition = loc => [
+        Number((loc.longitudeE7 / 10000000).toFixed(6)),
+        Number((loc.latitudeE7 / 10000000).toFixed(6))
+    ];
+    const toISOTime = loc => new Date(parseInt(loc.timestampMs || loc.timestamp)).toISOString();
+    
+    const segmentFeatures = trackSegments.map((segment, segmentIndex) => ({
+        type: 'Feature',
+        geometry: {
+            type: 'LineString',
+            coordinates: segment.map(toPosition)
+        },
+        properties: {
+            kind: 'segment',
+            period: period.id,
+            segment: segmentIndex + 1,
+            startTime: toISOTime(segment[0]),
+            endTime: toISOTime(segment[segment.length - 1]),
+            pointCount: segment.length,
+            activityType: getDominantValue(segment, 'activityType'),
+            source: getDominantValue(segment, 'source')
+        }
+    }));
+    
+    const visitFeatures = visits.map((loc, index) => ({
+        type: 'Feature',
+        geometry: {
+            type: 'Point',
+            coordinates: toPosition(loc)
+        },
+        properties: {
+            kind: 'visit',
+            period: period.id,
+            visit: index + 1,
+            time: toISOTime(loc),
+            source: loc.source,
+            name: loc.placeName || null,
+            address: loc.placeAddress || null,
+            placeId: loc.placeId || null,
+            semanticType: loc.semanticType || null,
+            probability: typeof loc.visitProbability === 'number' ? loc.visitProbability : null,
+            arrival: toISOTime(loc),
+            departure: loc.visitEndMs ? new Date(loc.visitEndMs).toISOString() : null,
+            durationMinutes: loc.visitEndMs ? Math.round((loc.visitEndMs - parseInt(loc.timestampMs || loc.timestamp)) / 60000) : null
+        }
+    }));
+    
+    const featureCollection = {
+        type: 'FeatureCollection',
+        name: `Location History - Period ${period.id}`,
+        features: [...segmentFeatures, ...visitFeatures]
+    };
+    
+    return JSON.stringify(featureCollection, null, 2);
+}
+
+// Output formats available in the KML Settings tab.
+// Each entry generates the file content for a single period.
+const OUTPUT_FORMATS = {
+    kml: {
+        label: 'KML',
+        extension: 'kml',
+        mimeType: 'application/vnd.google-earth.kml+xml',
+        generate: period => generateKML(period)
+    },
+    gpx: {
+        label: 'GPX',
+        extension: 'gpx',
+        mimeType: 'application/gpx+xml',
+        generate: period => generateGPX(period)
+    },
+    geojson: {
+        label: 'GeoJSON',
+        extension: 'geojson',
+        mimeType: 'application/geo+json',
+        generate: period => generateGeoJSON(period)
+    }
+};
+
+function getSelectedOutputFormats() {
+    return Object.keys(OUTPUT_FORMATS).filter(format => {
+        const checkbox = document.getElementById(`format_${format}`);
+        return checkbox && checkbox.checked;
+    });
+}
+
+function initializeOutputFormats() {
+    Object.keys(OUTPUT_FORMATS).forEach(format => {
+        const checkbox = document.getElementById(`format_${format}`);
+        if (!checkbox) return;
+        checkbox.addEventListener('change', () => {
+            // Keep the download buttons in sync with the chosen formats
+            if (document.getElementById('downloadSection').style.display !== 'none') {
+                showDownloadSection();
+            }
+        });
+    });
+}
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+const BUNDLE_TYPES = {
+    kmz: { label: 'KMZ', filename: 'location_history_periods.kmz', mimeType: 'application/vnd.google-earth.kmz' },
+    zip: { label: 'ZIP', filename: 'location_history_periods.zip', mimeType: 'application/zip' }
+};
+
+// Package every period into one KMZ (doc.kml with a folder per period, plus
+// the other selected formats as files next to it) or one ZIP (every selected
+// format for every period), entirely client-side
+async function downloadBundle(type) {
+    const bundleType = BUNDLE_TYPES[type];
+    if (!bundleType) throw new Error(`Unknown bundle type: ${type}`);
+    if (typeof JSZip === 'undefined') {
+        throw new Error('ZIP library failed to load. Check your internet connection and reload the page.');
+    }
+    if (periods.length === 0) throw new Error('No periods selected for processing.');
+    
+    const progressFill = document.getElementById('progressFill');
+    const progressText = document.getElementById('progressText');
+    const total = periods.length;
+    const zip = new JSZip();
+    let formats = getSelectedOutputFormats();
+    
+    if (type === 'kmz') {
+        progressText.textContent = `Building doc.kml for ${total} periods...`;
+        await new Promise(resolve => setTimeout(resolve, 0));
+        zip.file('doc.kml', generateCombinedKML(periods));
+        // The KML is already in doc.kml
+        formats = formats.filter(format => format !== 'kml');
+    } else if (formats.length === 0) {
+        throw new Error('Please select at least one output format in the KML Settings tab.');
+    }
+    
+    for (let i = 0; i < total && formats.length > 0; i++) {
+        const period = periods[i];
+        progressText.textContent = `Processing period ${i + 1} of ${total}...`;
+        progressFill.style.width = ((i / total) * 90) + '%';
+        // Yield so the progress bar can repaint between periods
+        await new Promise(resolve => setTimeout(resolve, 0));
+        
+        formats.forEach(format => {
+            const outputFormat = OUTPUT_FORMATS[format];
+            zip.file(getPeriodFileName(period, outputFormat.extension), outputFormat.generate(period));
+        });
+    }
+    
+    progressText.textContent = `Compressing ${bundleType.label} file...`;
+    const blob = await zip.generateAsync(
+        { type: 'blob', compression: 'DEFLATE', mimeType: bundleType.mimeType },
+        metadata => {
+            progressFill.style.width = (90 + metadata.percent * 0.1) + '%';
+        }
+    );
+    progressFill.style.width = '100%';
+    
+    downloadFile(blob, bundleType.filename, bundleType.mimeType);
+}
+
+function downloadBundleFromList(type) {
+    downloadBundle(type).catch(error => {
+        console.error('Bundle generation failed:', error);
+        showError(error.message);
+    });
+}
+
+function downloadKML(content, filename) {
+    downloadFile(content, filename, OUTPUT_FORMATS.kml.mimeType);
+}
+
+function showDownloadSection() {
+    const downloadSection = document.getElementById('downloadSection');
+    const downloadList = document.getElementById('downloadList');
+    
+    downloadSection.style.display = 'block';
+    downloadList.innerHTML = '';
+    
+    const formats = getSelectedOutputFormats();
+    
+    if (periods.length > 0) {
+        const bundleItem = document.createElement('div');
+        bundleItem.className = 'download-item';
+        bundleItem.innerHTML = `
+            <span><strong>All ${periods.length} periods</strong> in a single file</span>
+            <span class="download-actions">
+                ${Object.keys(BUNDLE_TYPES).map(type => `<a href="#" class="download-btn" onclick="downloadBundleFromList('${type}')">Download ${BUNDLE_TYPES[type].label}</a>`).join('')}
+            </span>
+        `;
+        downloadList.appendChild(bundleItem);
+    }
+    
+    periods.forEach(period => {
+        const downloadItem = document.createElement('div');
+        downloadItem.className = 'download-item';
+        downloadItem.innerHTML = `
+            <span>Period ${period.id}: ${escapeXML(getPeriodLabel(period))}</span>
+            <span class="download-actions">
+                ${formats.map(format => `<a href="#" class="download-btn" onclick="downloadPeriodFile(${period.id}, '${format}')">Download ${OUTPUT_FORMATS[format].label}</a>`).join('')}
+            </span>
+        `;
+        downloadList.appendChild(downloadItem);
+    });
+}
+
+function downloadPeriodFile(periodId, format) {
+    const period = periods.find(p => p.id === periodId);
+    const outputFormat = OUTPUT_FORMATS[format];
+    if (period && outputFormat) {
+        const content = outputFormat.generate(period);
+        downloadFile(content, getPeriodFileName(period, outputFormat.extension), outputFormat.mimeType);
+    }
+}
+
+function downloadPeriodKML(periodId) {
+    downloadPeriodFile(periodId, 'kml');
+}
+
+// Density heatmap
+// Points are binned into a grid of square cells over the period's bounds. The
+// cell size is chosen in metres (Auto: the bounds over DENSITY_AUTO_CELLS, at
+// most DENSITY_AUTO_MAX_CELL_METERS, so a city stays readable in a multi-country
+// period) and grown if the grid would pass DENSITY_MAX_GRID_CELLS on its longer
+// side. Each point counts 1; visits also
+// count one per minute of their duration, so places where time was spent
+// outweigh routes passed through. The grid is smoothed with a blur radius in
+// cells and coloured with a square-root scale times the intensity.
+const DENSITY_AUTO_CELLS = 512;
+const DENSITY_AUTO_MAX_CELL_METERS = 250;
+const DENSITY_MAX_GRID_CELLS = 2048;
+// GeoJSON export keeps only cells with points, at most this many (the heaviest)
+const DENSITY_GEOJSON_MAX_FEATURES = 20000;
+const DENSITY_MAX_RADIUS = 10;
+const DENSITY_RAMP = [[0, [0, 0, 255]], [0.25, [0, 255, 255]], [0.5, [0, 255, 0]], [0.75, [255, 255, 0]], [1, [255, 0, 0]]];
+
+function getHeatmapSettings() {
+    const radius = parseInt(document.getElementById('heatmapRadius').value);
+    const intensity = parseFloat(document.getElementById('heatmapIntensity').value);
+    const cellMeters = parseFloat(document.getElementById('heatmapCellSize').value);
+    return {
+        radius: radius >= 0 ? Math.min(radius, DENSITY_MAX_RADIUS) : 2,
+        intensity: intensity > 0 ? intensity : 1,
+        cellMeters: cellMeters > 0 ? cellMeters : 0
+    };
+}
+
+// Returns { south, west, north, east, rows, cols, cellMeters, weights } or null
+// without points; `requestedCellMeters` of 0 picks the size automatically
+function computeDensityGrid(locations, requestedCellMeters = 0) {
+    const points = locations.filter(loc => loc.latitudeE7 && loc.longitudeE7);
+    if (points.length === 0) return null;
+
+    let south = Infinity, north = -Infinity, west = Infinity, east = -Infinity;
+    points.forEach(loc => {
+        const lat = loc.latitudeE7 / 1e7;
+        const lon = loc.longitudeE7 / 1e7;
+        south = Math.min(south, lat);
+        north = Math.max(north, lat);
+        west = Math.min(west, lon);
+        east = Math.max(east, lon);
+    });
+
+    const midLatCos = Math.cos((south + north) / 2 * Math.PI / 180);
+    const heightMeters = (north - south) * 111320;
+    const widthMeters = (east - west) * 111320 * midLatCos;
+    const extentMeters = Math.max(heightMeters, widthMeters, 100);
+    const cellMeters = Math.max(
+        requestedCellMeters || Math.min(extentMeters / DENSITY_AUTO_CELLS, DENSITY_AUTO_MAX_CELL_METERS),
+        extentMeters / DENSITY_MAX_GRID_CELLS
+    );
+    const cellLat = cellMeters / 111320;
+    const cellLon = cellMeters / (111320 * midLatCos);
+
+    // Pad by how far the largest blur spreads (two passes) so no weight is lost at the edges
+    const padding = DENSITY_MAX_RADIUS * 2 + 1;
+    south -= cellLat * padding;
+    west -= cellLon * padding;
+    const rows = Math.ceil((north - south) / cellLat + padding);
+    const cols = Math.ceil((east - west) / cellLon + padding);
+    const weights = new Float64Array(rows * cols);
+
+    points.forEach(loc => {
+        const row = Math.min(rows - 1, Math.floor((loc.latitudeE7 / 1e7 - south) / cellLat));
+        const col = Math.min(cols - 1, Math.floor((loc.longitudeE7 / 1e7 - west) / cellLon));
+        let weight = 1;
+        if (loc.source === 'visit' && loc.visitEndMs) {
+            weight += Math.max(0, (loc.visitEndMs - parseInt(loc.timestampMs || loc.timestamp)) / 60000);
+        }
+        weights[row * cols + col] += weight;
+    });
+
+    return { south, west, north: south + rows * cellLat, east: west + cols * cellLon, rows, cols, cellMeters, weights };
+}
+
+// Two passes of a separable box blur (close to a Gaussian); returns a new array
+function blurDensityGrid(grid, radius) {
+    const { rows, cols } = grid;
+    let values = Float64Array.from(grid.weights);
+    if (radius < 1) return values;
+
+    const boxBlur = (source, horizontal) => {
+        const target = new Float64Array(source.length);
+        const lines = horizontal ? rows : cols;
+        const length = horizontal ? cols : rows;
+        const at = (line, i) => horizontal ? line * cols + i : i * cols + line;
+        for (let line = 0; line < lines; line++) {
+            let sum = 0;
+            for (let i = -radius; i <= radius; i++) {
+                if (i >= 0 && i < length) sum += source[at(line, i)];
+            }
+            for (let i = 0; i < length; i++) {
+                target[at(line, i)] = sum / (2 * radius + 1);
+                const leaving = i - radius;
+                const entering = i + radius + 1;
+                if (leaving >= 0) sum -= source[at(line, leaving)];
+                if (entering < length) sum += source[at(line, entering)];
+            }
+        }
+        return target;
+    };
+
+    for (let pass = 0; pass < 2; pass++) {
+        values = boxBlur(boxBlur(values, true), false);
+    }
+    return values;
+}
+
+// 0..1 density for every cell, from the blurred weights
+function normalizeDensity(values, intensity) {
+    let max = 0;
+    values.forEach(value => {
+        if (value > max) max = value;
+    });
+    // The running sums of the blur can leave tiny negative rounding errors
+    return values.map(value => max > 0 ? Math.min(1, Math.sqrt(Math.max(0, value) / max) * intensity) : 0);
+}
+
+// [r, g, b, a] for a 0..1 density; empty cells stay transparent
+function getDensityColor(density) {
+    if (density <= 0.01) return [0, 0, 0, 0];
+    let i = 1;
+    while (i < DENSITY_RAMP.length - 1 && density > DENSITY_RAMP[i][0]) i++;
+    const [startStop, startColor] = DENSITY_RAMP[i - 1];
+    const [endStop, endColor] = DENSITY_RAMP[i];
+    const fraction = (density - startStop) / (endStop - startStop);
+    const rgb = startColor.map((channel, c) => Math.round(channel + (endColor[c] - channel) * fraction));
+    return [...rgb, Math.round(255 * Math.min(0.85, 0.3 + density))];
+}
+
+// Paint the grid on a canvas, north up. With `mercator` the rows are spaced
+// like Leaflet's projection so the image lines up on the map; otherwise they
+// are spaced evenly in latitude, as a KML LatLonBox expects.
+function renderDensityCanvas(grid, density, mercator) {
+    const canvas = document.createElement('canvas');
+    canvas.width = grid.cols;
+    canvas.height = grid.rows;
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(grid.cols, grid.rows);
+
+    const mercatorY = lat => Math.log(Math.tan(Math.PI / 4 + lat * Math.PI / 360));
+    const topY = mercatorY(grid.north);
+    const bottomY = mercatorY(grid.south);
+    const cellLat = (grid.north - grid.south) / grid.rows;
+
+    for (let y = 0; y < grid.rows; y++) {
+        let row = grid.rows - 1 - y;
+        if (mercator) {
+            const pixelY = topY - (y + 0.5) / grid.rows * (topY - bottomY);
+            const lat = (2 * Math.atan(Math.exp(pixelY)) - Math.PI / 2) * 180 / Math.PI;
+            row = Math.min(grid.rows - 1, Math.max(0, Math.floor((lat - grid.south) / cellLat)));
+        }
+        for (let col = 0; col < grid.cols; col++) {
+            image.data.set(getDensityColor(density[row * grid.cols + col]), (y * grid.cols + col) * 4);
+        }
+    }
+
+    context.putImageData(image, 0, 0);
+    return canvas;
+}
+
+// Heatmap for one period as a KMZ: doc.kml with a GroundOverlay and the PNG next to it
+async function generateHeatmapKMZ(period) {
+    if (typeof JSZip === 'undefined') {
+        throw new Error('ZIP library failed to load. Check your internet connection and reload the page.');
+    }
+    const settings = getHeatmapSettings();
+    const grid = computeDensityGrid(getPeriodLocations(period), settings.cellMeters);
+    if (!grid) throw new Error(`Period ${period.id} has no location records.`);
+
+    const density = normalizeDensity(blurDensityGrid(grid, settings.radius), settings.intensity);
+    const png = renderDensityCanvas(grid, density, false).toDataURL('image/png').split(',')[1];
+
+    const overlay = `<GroundOverlay>
+      <name>Point density</name>
+      <description>${grid.cols} × ${grid.rows} cells of ${formatDistance(grid.cellMeters)}; blur radius ${settings.radius}, intensity ${settings.intensity}</description>
+      <Icon>
+        <href>heatmap.png</href>
+      </Icon>
+      <LatLonBox>
+        <north>${grid.north.toFixed(6)}</north>
+        <south>${grid.south.toFixed(6)}</south>
+        <east>${grid.east.toFixed(6)}</east>
+        <west>${grid.west.toFixed(6)}</west>
+      </LatLonBox>
+    </GroundOverlay>`;
+
+    const zip = new JSZip();
+    zip.file('doc.kml', wrapKMLDocument(escapeXML(`Heatmap - Period ${period.id}: ${getPeriodLabel(period)}`), {}, overlay));
+    zip.file('heatmap.png', png, { base64: true });
+    return zip.generateAsync({ type: 'blob', compression: 'DEFLATE', mimeType: 'application/vnd.google-earth.kmz' });
+}
+
+// The same grid as GeoJSON polygons, one per cell that holds points. The blur
+// spreads a little weight almost everywhere, so filtering on the blurred
+// density would write nearly the whole grid.
+function generateDensityGeoJSON(period) {
+    const settings = getHeatmapSettings();
+    const grid = computeDensityGrid(getPeriodLocations(period), settings.cellMeters);
+    if (!grid) throw new Error(`Period ${period.id} has no location records.`);
+
+    const blurred = blurDensityGrid(grid, settings.radius);
+    const density = normalizeDensity(blurred, settings.intensity);
+    const cellLat = (grid.north - grid.south) / grid.rows;
+    const cellLon = (grid.east - grid.west) / grid.cols;
+    const round = value => Number(value.toFixed(6));
+
+    let cells = [];
+    grid.weights.forEach((weight, index) => {
+        if (weight > 0) cells.push(index);
+    });
+    if (cells.length > DENSITY_GEOJSON_MAX_FEATURES) {
+        showNotification(`Only the ${DENSITY_GEOJSON_MAX_FEATURES.toLocaleString()} densest of ${cells.length.toLocaleString()} cells are exported; choose larger cells to cover them all`, 'info');
+        cells = cells.sort((a, b) => blurred[b] - blurred[a]).slice(0, DENSITY_GEOJSON_MAX_FEATURES).sort((a, b) => a - b);
+    }
+
+    const features = cells.map(index => {
+        const row = Math.floor(index / grid.cols);
+        const col = index % grid.cols;
+        const south = round(grid.south + row * cellLat);
+        const north = round(grid.south + (row + 1) * cellLat);
+        const west = round(grid.west + col * cellLon);
+        const east = round(grid.west + (col + 1) * cellLon);
+        return {
+            type: 'Feature',
+            geometry: { type: 'Polygon', coordinates: [[[west, south], [east, south], [east, north], [west, north], [west, south]]] },
+            properties: {
+                weight: Number(blurred[index].toFixed(3)),
+                density: Number(density[index].toFixed(3))
+            }
+        };
+    });
+
+    return JSON.stringify({
+        type: 'FeatureCollection',
+        name: `Density - Period ${period.id}`,
+        cellMeters: Number(grid.cellMeters.toFixed(1)),
+        features
+    });
+}
+
+async function downloadHeatmap(format) {
+    const period = periods.find(p => p.id === parseInt(periodSelector.value));
+    if (!period) {
+        showError('Please select a single period to export its heatmap.');
+        return;
+    }
+    const baseName = getPeriodFileName(period, 'x').replace(/\.x$/, '_heatmap');
+    try {
+        if (format === 'kmz') {
+            downloadFile(await generateHeatmapKMZ(period), `${baseName}.kmz`, 'application/vnd.google-earth.kmz');
+        } else {
+            downloadFile(generateDensityGeoJSON(period), `${baseName}.geojson`, 'application/geo+json');
+        }
+    } catch (error) {
+        showError(error.message);
+    }
+}
+
+// Map functionality
+function initializeMap() {
+    loadMapBtn.addEventListener('click', loadMapData);
+    
+    // Update period selector when periods change
+    updatePeriodSelector();
+}
+
+function updatePeriodSelector() {
+    const previous = periodSelector.value;
+    periodSelector.innerHTML = '<option value="">Choose a period...</option>';
+    
+    periods.forEach(period => {
+        const option = document.createElement('option');
+        option.value = period.id;
+        option.textContent = `Period ${period.id}: ${getPeriodLabel(period)}`;
+        periodSelector.appendChild(option);
+    });
+    if (periods.length > 1) {
+        const option = document.createElement('option');
+        option.value = 'all';
+        option.textContent = 'All periods (overlay)';
+        periodSelector.appendChild(option);
+    }
+    // Keep the selection across rebuilds when it still exists
+    if (previous && periodSelector.querySelector(`option[value="${previous}"]`)) {
+        periodSelector.value = previous;
+    }
+    
+    loadMapBtn.disabled = periods.length === 0;
+}
+
+function loadMapData() {
+    if (periodSelector.value === 'all') {
+        if (!map) initializeMapContainer();
+        loadAllPeriodsOverlay();
+        return;
+    }
+    const selectedPeriodId = parseInt(periodSelector.value);
+    if (!selectedPeriodId) return;
+    
+    const period = periods.find(p => p.id === selectedPeriodId);
+    if (!period) return;
+    
+    // Initialize map if not already done
+    if (!map) {
+        initializeMapContainer();
+    }
+    
+    // Load period data
+    loadPeriodData(period);
+}
+
+function initializeMapContainer() {
+    const mapContainer = document.getElementById('map');
+    
+    // Initialize Leaflet map
+    map = L.map('map').setView([0, 0], 2);
+    
+    // Add OpenStreetMap tiles
+    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+        attribution: '© OpenStreetMap contributors'
+    }).addTo(map);
+
+    // Fix initial size/centering issues when tab becomes visible
+    setTimeout(() => map.invalidateSize(), 0);
+}
+
+// Remove everything drawn for the previous period or overlay
+function clearMapData() {
+    resetPlayback();
+    removePeriodOverlay();
+    removeMapHeatmap();
+    map.eachLayer(layer => {
+        if (layer instanceof L.Marker || layer instanceof L.Polyline) {
+            map.removeLayer(layer);
+        }
+    });
+    removeMapLegend();
+    removeMapTickmarks();
+}
+
+async function loadPeriodData(period) {
+    const locations = window.convertedLocations || locationData.locations;
+    if (!map || !locations) return;
+    
+    clearMapData();
+    showMapPrivacyZones();
+    showMapPeriodArea(period);
+    
+    // Filter locations for this period
+    const periodLocations = getPeriodLocations(period);
+    
+    if (periodLocations.length === 0) {
+        map.setView([20, 0], 2);
+        return;
+    }
+    
+    // Heatmap mode replaces the tracks, tickmarks and playback
+    if (getMapDisplayMode() === 'heatmap') {
+        drawMapHeatmap(periodLocations);
+        return;
+    }
+    
+    setupPlayback(getSimplifiedTrackSegments(periodLocations));
+    
+    const tickmarkSettings = getTickmarkSettings();
+    if (tickmarkSettings.enabled) {
+        const tickmarks = computeTickmarks(buildTrackSegments(periodLocations), tickmarkSettings);
+        showMapTickmarks(tickmarks.ticks);
+        const note = describeRaisedTickmarkInterval(tickmarks, tickmarkSettings.mode);
+        if (note) showNotification(note, 'info');
+    }
+
+    // Per-activity and speed colouring draw the recorded segments directly; snapping would lose the per-point data
+    const trackColoring = getTrackColoringMode();
+    if (trackColoring === 'activity') {
+        drawActivityStyledTracks(period, periodLocations);
+        return;
+    }
+    if (trackColoring === 'speed') {
+        drawSpeedStyledTracks(period, periodLocations);
+        return;
+    }
+
+    // The route is drawn from the simplified points; the popup stats use every point
+    const periodStats = computeTrackStats(buildTrackSegments(periodLocations));
+    const pathLocations = getSimplificationSettings().mode === 'none' ? periodLocations : getSimplifiedTrackSegments(periodLocations).flat();
+
+    // Prefer native activity_path when available (directly from Timeline)
+    const pathShare = pathLocations.filter(l => l.source === 'activity_path').length / pathLocations.length;
+    let coordinates = null;
+    if (pathLocations.some(l => l.privacyBreak)) {
+        // Trimmed privacy zones: draw each piece separately so no line crosses a zone
+        const pieces = [[]];
+        [...pathLocations]
+            .filter(l => l.longitudeE7 && l.latitudeE7)
+            .sort((a, b) => parseInt(a.timestampMs || a.timestamp) - parseInt(b.timestampMs || b.timestamp))
+            .forEach(l => {
+                if (l.privacyBreak && pieces[pieces.length - 1].length > 0) pieces.push([]);
+                pieces[pieces.length - 1].push([l.latitudeE7 / 1e7, l.longitudeE7 / 1e7]);
+            });
+        return drawPrivacyTrimmedTrack(period, pieces, periodStats);
+    }
+    if (pathShare > 0.5) {
+        // Build coordinates directly from ordered points; no snapping
+        coordinates = pathLocations
+            .filter(l => l.longitudeE7 && l.latitudeE7)
+            .sort((a, b) => parseInt(a.timestampMs || a.timestamp) - parseInt(b.timestampMs || b.timestamp))
+            .map(l => [l.latitudeE7 / 1e7, l.longitudeE7 / 1e7]);
+    }
+
+    // Otherwise try smart snapping (Mapbox first, then OSRM), fallback to raw
+    if (!coordinates || coordinates.length < 2) {
+        coordinates = await snapPathSmart(pathLocations);
+        if (!coordinates) {
+            coordinates = pathLocations
+                .filter(l => l.longitudeE7 && l.latitudeE7)
+                .map(l => [l.latitudeE7 / 1e7, l.longitudeE7 / 1e7]);
+        }
+    }
+
+    if (coordinates.length === 0) { map.setView([20, 0], 2); return; }
+
+    const lineColor = document.getElementById('lineColor').value;
+    const polyline = L.polyline(coordinates, { color: lineColor, weight: 3, opacity: 0.9 })
+        .addTo(map)
+        .bindPopup(`<strong>Period ${period.id}</strong><br/>${formatTrackStatsHtml(periodStats)}`);
+    const bounds = polyline.getBounds();
+    if (bounds && bounds.isValid()) map.fitBounds(bounds, { padding: [30, 30] }); else map.setView(coordinates[0], 14);
+    setTimeout(() => map.invalidateSize(), 0);
+
+    L.marker(coordinates[0]).addTo(map).bindPopup(`Period ${period.id} Start`);
+    if (coordinates.length > 1) L.marker(coordinates[coordinates.length - 1]).addTo(map).bindPopup(`Period ${period.id} End`);
+
+    currentMapData = { period, coordinates, polyline };
+}
+
+// Single-colour track in several pieces, without road snapping (matching would bridge the gaps)
+function drawPrivacyTrimmedTrack(period, pieces, periodStats) {
+    const lineColor = document.getElementById('lineColor').value;
+    const polyline = L.polyline(pieces, { color: lineColor, weight: 3, opacity: 0.9 })
+        .addTo(map)
+        .bindPopup(`<strong>Period ${period.id}</strong><br/>${formatTrackStatsHtml(periodStats)}`);
+    map.fitBounds(polyline.getBounds(), { padding: [30, 30] });
+    setTimeout(() => map.invalidateSize(), 0);
+
+    const coordinates = pieces.flat();
+    L.marker(coordinates[0]).addTo(map).bindPopup(`Period ${period.id} Start`);
+    if (coordinates.length > 1) L.marker(coordinates[coordinates.length - 1]).addTo(map).bindPopup(`Period ${period.id} End`);
+
+    currentMapData = { period, coordinates, polyline };
+}
+
+// Draw each travel mode run in its palette colour, with a legend for the modes present
+function drawActivityStyledTracks(period, periodLocations) {
+    const palette = getActivityPalette();
+    const usedModes = new Set();
+    const bounds = L.latLngBounds([]);
+    const toLatLng = loc => [loc.latitudeE7 / 1e7, loc.longitudeE7 / 1e7];
+    
+    const trackSegments = getSimplifiedTrackSegments(periodLocations);
+    trackSegments.forEach(segment => {
+        splitSegmentByActivity(segment).forEach(run => {
+            const mode = ACTIVITY_MODES.find(m => m.key === run.mode);
+            const latLngs = run.points.map(toLatLng);
+            usedModes.add(run.mode);
+            L.polyline(latLngs, { color: palette[run.mode].color, weight: palette[run.mode].width, opacity: 0.9 })
+                .addTo(map)
+                .bindPopup(`<strong>${mode.label}</strong>: ${run.points.length} points<br/>${formatTrackStatsHtml(computeTrackStats([run.points]))}`);
+            latLngs.forEach(latLng => bounds.extend(latLng));
+        });
+    });
+    
+    if (!bounds.isValid()) {
+        map.setView([20, 0], 2);
+        return;
+    }
+    map.fitBounds(bounds, { padding: [30, 30] });
+    setTimeout(() => map.invalidateSize(), 0);
+    
+    const coordinates = trackSegments.flat().map(toLatLng);
+    L.marker(coordinates[0]).addTo(map).bindPopup(`Period ${period.id} Start`);
+    if (coordinates.length > 1) L.marker(coordinates[coordinates.length - 1]).addTo(map).bindPopup(`Period ${period.id} End`);
+    
+    showMapLegend('Travel Mode', ACTIVITY_MODES.filter(mode => usedModes.has(mode.key)).map(mode => `
+        <div class="legend-item">
+            <span class="legend-swatch" style="background: ${palette[mode.key].color}; height: ${Math.max(3, palette[mode.key].width)}px;"></span>
+            ${mode.label}
+        </div>`).join(''));
+    
+    currentMapData = { period, coordinates, polyline: null };
+}
+
+// Draw speed-graded sub-lines with a gradient legend
+function drawSpeedStyledTracks(period, periodLocations) {
+    const settings = getSpeedSettings();
+    const unitLabel = SPEED_UNITS[settings.units].label;
+    const bounds = L.latLngBounds([]);
+    const toLatLng = loc => [loc.latitudeE7 / 1e7, loc.longitudeE7 / 1e7];
+    
+    const trackSegments = getSimplifiedTrackSegments(periodLocations);
+    trackSegments.forEach(segment => {
+        splitSegmentBySpeed(segment, settings).forEach(run => {
+            const latLngs = run.points.map(toLatLng);
+            L.polyline(latLngs, { color: getSpeedBinColor(run.bin), weight: 4, opacity: 0.9 })
+                .addTo(map)
+                .bindPopup(`Average speed: ${run.speed.toFixed(1)} ${unitLabel}<br/>Distance: ${formatDistance(run.meters)}`);
+            latLngs.forEach(latLng => bounds.extend(latLng));
+        });
+    });
+    
+    if (!bounds.isValid()) {
+        map.setView([20, 0], 2);
+        return;
+    }
+    map.fitBounds(bounds, { padding: [30, 30] });
+    setTimeout(() => map.invalidateSize(), 0);
+    
+    const coordinates = trackSegments.flat().map(toLatLng);
+    L.marker(coordinates[0]).addTo(map).bindPopup(`Period ${period.id} Start`);
+    if (coordinates.length > 1) L.marker(coordinates[coordinates.length - 1]).addTo(map).bindPopup(`Period ${period.id} End`);
+    
+    const gradient = Array.from({ length: SPEED_BINS }, (_, bin) => getSpeedBinColor(bin)).join(', ');
+    showMapLegend(`Speed (${unitLabel})`, `
+        <div class="legend-gradient" style="background: linear-gradient(to right, ${gradient});"></div>
+        <div class="legend-scale">
+            <span>${settings.min}</span>
+            <span>${settings.max}+</span>
+        </div>`);
+    
+    currentMapData = { period, coordinates, polyline: null };
+}
+
+// Map legend (a single Leaflet control shared by the styling modes)
+let mapLegend = null;
+
+function showMapLegend(title, itemsHtml) {
+    removeMapLegend();
+    mapLegend = L.control({ position: 'bottomright' });
+    mapLegend.onAdd = function() {
+        const div = L.DomUtil.create('div', 'map-legend');
+        div.innerHTML = `<strong>${title}</strong>${itemsHtml}`;
+        return div;
+    };
+    mapLegend.addTo(map);
+}
+
+function removeMapLegend() {
+    if (mapLegend) {
+        mapLegend.remove();
+        mapLegend = null;
+    }
+}
+
+// Tickmark dots on the map, kept in one layer group so they can be cleared together
+let mapTickmarks = null;
+
+function showMapTickmarks(ticks) {
+    removeMapTickmarks();
+    mapTickmarks = L.layerGroup(ticks.map(tick =>
+        L.circleMarker([tick.latitude, tick.longitude], {
+            radius: 3,
+            color: '#343a40',
+            weight: 1,
+            fillColor: '#ffffff',
+            fillOpacity: 1
+        }).bindTooltip(tick.label, { direction: 'top' })
+    )).addTo(map);
+}
+
+function removeMapTickmarks() {
+    if (mapTickmarks) {
+        mapTickmarks.remove();
+        mapTickmarks = null;
+    }
+}
+
+// Heatmap on the map: the raw grid is kept so radius and intensity changes only repaint
+let mapHeatmap = null;
+
+function getMapDisplayMode() {
+    const select = document.getElementById('mapDisplayMode');
+    return select && select.value === 'heatmap' ? 'heatmap' : 'tracks';
+}
+
+function initializeHeatmap() {
+    const select = document.getElementById('mapDisplayMode');
+    if (!select) return;
+
+    select.addEventListener('change', () => {
+        document.getElementById('heatmapSettings').style.display = select.value === 'heatmap' ? 'flex' : 'none';
+        refreshMapAndDownloadSections();
+    });
+    ['heatmapRadius', 'heatmapIntensity'].forEach(id => {
+        document.getElementById(id).addEventListener('input', paintMapHeatmap);
+    });
+    // A new cell size needs a new grid, not just a repaint
+    document.getElementById('heatmapCellSize').addEventListener('change', refreshMapAndDownloadSections);
+    document.getElementById('downloadHeatmapKmzBtn').addEventListener('click', () => downloadHeatmap('kmz'));
+    document.getElementById('downloadHeatmapGeoJSONBtn').addEventListener('click', () => downloadHeatmap('geojson'));
+}
+
+function drawMapHeatmap(periodLocations) {
+    removeMapHeatmap();
+    const grid = computeDensityGrid(periodLocations, getHeatmapSettings().cellMeters);
+    if (!grid) return;
+
+    const bounds = [[grid.south, grid.west], [grid.north, grid.east]];
+    mapHeatmap = { grid, overlay: L.imageOverlay('', bounds, { opacity: 1, interactive: false }).addTo(map) };
+    paintMapHeatmap();
+    map.fitBounds(bounds, { padding: [30, 30] });
+    setTimeout(() => map.invalidateSize(), 0);
+
+    showMapLegend('Density', `
+        <div class="legend-gradient" style="background: linear-gradient(to right, ${DENSITY_RAMP.map(([stop, rgb]) => `rgb(${rgb.join(',')}) ${stop * 100}%`).join(', ')});"></div>
+        <div class="legend-scale"><span>Low</span><span>High</span></div>
+        <div>Cells of ${formatDistance(grid.cellMeters)}</div>`);
+}
+
+function paintMapHeatmap() {
+    if (!mapHeatmap) return;
+    const settings = getHeatmapSettings();
+    document.getElementById('heatmapRadiusValue').textContent = settings.radius;
+    document.getElementById('heatmapIntensityValue').textContent = `${settings.intensity}×`;
+    const density = normalizeDensity(blurDensityGrid(mapHeatmap.grid, settings.radius), settings.intensity);
+    mapHeatmap.overlay.setUrl(renderDensityCanvas(mapHeatmap.grid, density, true).toDataURL('image/png'));
+}
+
+function removeMapHeatmap() {
+    if (mapHeatmap) {
+        mapHeatmap.overlay.remove();
+        mapHeatmap = null;
+    }
+}
+
+// Multi-period overlay: every period in its own colour, toggled from a Leaflet
+// layer control that doubles as the legend
+const PERIOD_COLORS = ['#0d6efd', '#dc3545', '#198754', '#fd7e14', '#6f42c1', '#20c997', '#d63384', '#795548', '#0dcaf0', '#6c757d'];
+let periodOverlay = null;
+
+function getPeriodColor(period) {
+    return PERIOD_COLORS[(period.id - 1) % PERIOD_COLORS.length];
+}
+
+// Lines come from the recorded (simplified) points; road snapping would cost an API call per period
+function loadAllPeriodsOverlay() {
+    clearMapData();
+    showMapPrivacyZones();
+
+    const overlays = {};
+    const groups = [];
+    periods.forEach(period => {
+        const periodLocations = getPeriodLocations(period);
+        const rawSegments = buildTrackSegments(periodLocations);
+        const trackSegments = simplifyTrackSegments(rawSegments, getSimplificationSettings());
+        if (trackSegments.length === 0) return;
+
+        const color = getPeriodColor(period);
+        const layers = [
+            L.polyline(trackSegments.map(segment => segment.map(loc => [loc.latitudeE7 / 1e7, loc.longitudeE7 / 1e7])), { color, weight: 3, opacity: 0.85 })
+                .bindPopup(`<strong>Period ${period.id}</strong>: ${escapeXML(getPeriodLabel(period))}<br/>${formatTrackStatsHtml(computeTrackStats(rawSegments))}`)
+        ];
+        if (period.area) {
+            layers.push(L.polygon(getAreaOutline(period.area), { color, weight: 1, dashArray: '6 4', fill: false, interactive: false }));
+        }
+
+        const group = L.featureGroup(layers).addTo(map);
+        overlays[`<span class="legend-swatch" style="background: ${color}; height: 4px;"></span> Period ${period.id}: ${escapeXML(getPeriodLabel(period))}`] = group;
+        groups.push(group);
+    });
+
+    if (groups.length === 0) {
+        map.setView([20, 0], 2);
+        return;
+    }
+
+    periodOverlay = {
+        groups,
+        control: L.control.layers(null, overlays, { collapsed: false }).addTo(map)
     };
-    return colors[colorName] || 'ffff0000';
+    map.on('overlayadd overlayremove', fitPeriodOverlayBounds);
+    fitPeriodOverlayBounds();
+    setTimeout(() => map.invalidateSize(), 0);
+    currentMapData = null;
 }
 
-function downloadKML(content, filename) {
-    const blob = new Blob([content], { type: 'application/vnd.google-earth.kml+xml' });
-    const url = URL.createObjectURL(blob);
-    
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = filename;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+// Fit the map to whichever periods are ticked in the layer control
+function fitPeriodOverlayBounds() {
+    if (!periodOverlay) return;
+    const bounds = L.latLngBounds([]);
+    periodOverlay.groups.filter(group => map.hasLayer(group)).forEach(group => bounds.extend(group.getBounds()));
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [30, 30] });
 }
 
-function showDownloadSection() {
-    const downloadSection = document.getElementById('downloadSection');
-    const downloadList = document.getElementById('downloadList');
-    
-    downloadSection.style.display = 'block';
-    downloadList.innerHTML = '';
-    
-    periods.forEach(period => {
-        const downloadItem = document.createElement('div');
-        downloadItem.className = 'download-item';
-        downloadItem.innerHTML = `
-            <span>Period ${period.id}: ${period.startDate.toLocaleDateString()} to ${period.endDate.toLocaleDateString()}</span>
-            <a href="#" class="download-btn" onclick="downloadPeriodKML(${period.id})">Download KML</a>
-        `;
-        downloadList.appendChild(downloadItem);
+function removePeriodOverlay() {
+    if (!periodOverlay) return;
+    map.off('overlayadd overlayremove', fitPeriodOverlayBounds);
+    periodOverlay.control.remove();
+    periodOverlay.groups.forEach(group => group.remove());
+    periodOverlay = null;
+}
+
+// Route playback: a marker moving along the loaded period in time order,
+// leaving a trail behind it. Gaps between track segments are skipped.
+let playback = null;
+
+function initializePlayback() {
+    const toggle = document.getElementById('playbackToggle');
+    if (!toggle) return;
+
+    toggle.addEventListener('click', togglePlayback);
+    document.getElementById('playbackSlider').addEventListener('input', event => {
+        if (!playback) return;
+        playback.currentMs = playback.startMs + (playback.endMs - playback.startMs) * event.target.value / 1000;
+        updatePlaybackPosition();
     });
 }
 
-function downloadPeriodKML(periodId) {
-    const period = periods.find(p => p.id === periodId);
-    if (period) {
-        const kmlContent = generateKML(period);
-        downloadKML(kmlContent, `period${periodId}_output.kml`);
+// Build the playback for one period from its (simplified) track segments
+function setupPlayback(trackSegments) {
+    resetPlayback();
+    const getTime = loc => parseInt(loc.timestampMs || loc.timestamp);
+    const points = [];
+    trackSegments.forEach((segment, segmentIndex) => {
+        segment.forEach(loc => points.push({
+            lat: loc.latitudeE7 / 1e7,
+            lon: loc.longitudeE7 / 1e7,
+            time: getTime(loc),
+            segmentIndex,
+            loc
+        }));
+    });
+
+    if (points.length < 2) return;
+
+    playback = {
+        points,
+        startMs: points[0].time,
+        endMs: points[points.length - 1].time,
+        currentMs: points[0].time,
+        playing: false,
+        lastFrame: null,
+        frameId: null,
+        trailIndex: -1,
+        trailRings: [],
+        trail: L.polyline([], { color: '#fd7e14', weight: 5, opacity: 0.9, interactive: false }).addTo(map),
+        marker: L.circleMarker([points[0].lat, points[0].lon], {
+            radius: 7,
+            color: '#ffffff',
+            weight: 2,
+            fillColor: '#fd7e14',
+            fillOpacity: 1
+        }).addTo(map)
+    };
+    document.getElementById('playbackControls').style.display = 'flex';
+    updatePlaybackPosition();
+}
+
+function resetPlayback() {
+    const controls = document.getElementById('playbackControls');
+    if (controls) controls.style.display = 'none';
+    if (!playback) return;
+    pausePlayback();
+    playback.trail.remove();
+    playback.marker.remove();
+    playback = null;
+}
+
+function togglePlayback() {
+    if (!playback) return;
+    if (playback.playing) {
+        pausePlayback();
+        return;
     }
+    if (playback.currentMs >= playback.endMs) playback.currentMs = playback.startMs;
+    playback.playing = true;
+    playback.lastFrame = null;
+    document.getElementById('playbackToggle').textContent = '⏸ Pause';
+    playback.frameId = requestAnimationFrame(stepPlayback);
 }
 
-// Map functionality
-function initializeMap() {
-    loadMapBtn.addEventListener('click', loadMapData);
-    
-    // Update period selector when periods change
-    updatePeriodSelector();
+function pausePlayback() {
+    if (!playback) return;
+    playback.playing = false;
+    if (playback.frameId) cancelAnimationFrame(playback.frameId);
+    playback.frameId = null;
+    document.getElementById('playbackToggle').textContent = '▶ Play';
 }
 
-function updatePeriodSelector() {
-    periodSelector.innerHTML = '<option value="">Choose a period...</option>';
-    
-    periods.forEach(period => {
-        const option = document.createElement('option');
-        option.value = period.id;
-        option.textContent = `Period ${period.id}: ${period.startDate.toLocaleDateString()} to ${period.endDate.toLocaleDateString()}`;
-        periodSelector.appendChild(option);
-    });
-    
-    loadMapBtn.disabled = periods.length === 0;
+// Advance by the wall-clock time since the last frame times the speed multiplier
+function stepPlayback(frameTime) {
+    if (!playback || !playback.playing) return;
+    if (playback.lastFrame !== null) {
+        const multiplier = parseFloat(document.getElementById('playbackSpeed').value) || 600;
+        playback.currentMs += (frameTime - playback.lastFrame) * multiplier;
+    }
+    playback.lastFrame = frameTime;
+
+    // Jump over the time between segments instead of idling through nights
+    const index = findPlaybackIndex(playback.currentMs);
+    const next = playback.points[index + 1];
+    if (next && next.segmentIndex !== playback.points[index].segmentIndex) {
+        playback.currentMs = next.time;
+    }
+
+    if (playback.currentMs >= playback.endMs) {
+        playback.currentMs = playback.endMs;
+        updatePlaybackPosition();
+        pausePlayback();
+        return;
+    }
+    updatePlaybackPosition();
+    playback.frameId = requestAnimationFrame(stepPlayback);
 }
 
-function loadMapData() {
-    const selectedPeriodId = parseInt(periodSelector.value);
-    if (!selectedPeriodId) return;
-    
-    const period = periods.find(p => p.id === selectedPeriodId);
-    if (!period) return;
-    
-    // Initialize map if not already done
-    if (!map) {
-        initializeMapContainer();
+// Index of the last point at or before `time`
+function findPlaybackIndex(time) {
+    const points = playback.points;
+    let low = 0;
+    let high = points.length - 1;
+    while (low < high) {
+        const mid = (low + high + 1) >> 1;
+        if (points[mid].time <= time) low = mid;
+        else high = mid - 1;
     }
-    
-    // Load period data
-    loadPeriodData(period);
+    return low;
 }
 
-function initializeMapContainer() {
-    const mapContainer = document.getElementById('map');
-    
-    // Initialize Leaflet map
-    map = L.map('map').setView([0, 0], 2);
-    
-    // Add OpenStreetMap tiles
-    L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
-        attribution: '© OpenStreetMap contributors'
+// Move the marker, extend the trail and sync the slider and time label
+function updatePlaybackPosition() {
+    const { points } = playback;
+    const index = findPlaybackIndex(playback.currentMs);
+    const point = points[index];
+    const next = points[index + 1];
+
+    let head = [point.lat, point.lon];
+    if (next && next.segmentIndex === point.segmentIndex && next.time > point.time) {
+        const fraction = Math.min(1, Math.max(0, (playback.currentMs - point.time) / (next.time - point.time)));
+        head = [point.lat + (next.lat - point.lat) * fraction, point.lon + (next.lon - point.lon) * fraction];
+    }
+
+    // Trail rings (one per segment) up to the current point: extended while
+    // playing forward, rebuilt after seeking backwards
+    if (index < playback.trailIndex) {
+        playback.trailRings = [];
+        playback.trailIndex = -1;
+    }
+    for (let i = playback.trailIndex + 1; i <= index; i++) {
+        if (i === 0 || points[i].segmentIndex !== points[i - 1].segmentIndex) playback.trailRings.push([]);
+        playback.trailRings[playback.trailRings.length - 1].push([points[i].lat, points[i].lon]);
+    }
+    playback.trailIndex = index;
+    const rings = playback.trailRings;
+    playback.trail.setLatLngs([...rings.slice(0, -1), [...rings[rings.length - 1], head]]);
+    playback.marker.setLatLng(head);
+
+    const span = playback.endMs - playback.startMs;
+    document.getElementById('playbackSlider').value = span > 0 ? Math.round((playback.currentMs - playback.startMs) / span * 1000) : 0;
+    document.getElementById('playbackTime').textContent = formatDisplayDateTime(Math.round(playback.currentMs), point.loc);
+}
+
+// Outline of the selected period's spatial filter on the map
+let mapPeriodArea = null;
+
+function showMapPeriodArea(period) {
+    if (mapPeriodArea) {
+        mapPeriodArea.remove();
+        mapPeriodArea = null;
+    }
+    if (!period.area) return;
+    mapPeriodArea = L.polygon(getAreaOutline(period.area), {
+        color: '#0d6efd',
+        weight: 2,
+        dashArray: '6 4',
+        fill: false,
+        interactive: false
     }).addTo(map);
+}
 
-    // Fix initial size/centering issues when tab becomes visible
-    setTimeout(() => map.invalidateSize(), 0);
+// Drawing a period's area: rectangles and circles take two clicks (corner and
+// opposite corner, centre and edge); polygons take a click per corner and a
+// double-click to finish. Escape cancels.
+let areaDrawing = null;
+
+const AREA_DRAWING_HINTS = {
+    rectangle: 'Click two opposite corners of the rectangle',
+    polygon: 'Click each corner of the polygon, double-click to finish',
+    circle: 'Click the centre of the circle, then a point on its edge'
+};
+
+function startDrawingPeriodArea(periodId, type) {
+    cancelAreaDrawing();
+    enableTab('map');
+    periodSelector.value = String(periodId);
+    switchTab('map');
+    if (!map) {
+        showError('Please load a period on the map first.');
+        return;
+    }
+
+    areaDrawing = { periodId, type, points: [], preview: L.layerGroup().addTo(map) };
+    map.doubleClickZoom.disable();
+    map.getContainer().style.cursor = 'crosshair';
+    map.on('click', onAreaDrawingClick);
+    map.on('mousemove', onAreaDrawingMove);
+    map.on('dblclick', onAreaDrawingDoubleClick);
+    document.addEventListener('keydown', onAreaDrawingKey);
+    showNotification(AREA_DRAWING_HINTS[type], 'info');
 }
 
-async function loadPeriodData(period) {
-    const locations = window.convertedLocations || locationData.locations;
-    if (!map || !locations) return;
-    
-    // Clear existing data
-    map.eachLayer(layer => {
-        if (layer instanceof L.Marker || layer instanceof L.Polyline) {
-            map.removeLayer(layer);
-        }
-    });
-    
-    const startMs = period.startDate.getTime();
-    const endMs = period.endDate.getTime();
-    
-    // Filter locations for this period
-    const periodLocations = locations.filter(loc => {
-        const timestamp = parseInt(loc.timestampMs || loc.timestamp);
-        return timestamp >= startMs && timestamp <= endMs;
-    });
-    
-    if (periodLocations.length === 0) {
-        map.setView([20, 0], 2);
+// Points are kept as clicked (not wrapped) so a shape drawn across the
+// antimeridian can be told apart from one spanning the rest of the world
+function onAreaDrawingClick(event) {
+    const drawing = areaDrawing;
+    const latlng = event.latlng;
+    const last = drawing.points[drawing.points.length - 1];
+    // The clicks of a double-click land on the same spot
+    if (last && last.equals(latlng)) return;
+    drawing.points.push(latlng);
+
+    if (drawing.points.length < 2 || drawing.type === 'polygon') {
+        drawAreaPreview(latlng);
         return;
     }
 
-    // Prefer native activity_path when available (directly from Timeline)
-    const pathShare = periodLocations.filter(l => l.source === 'activity_path').length / periodLocations.length;
-    let coordinates = null;
-    if (pathShare > 0.5) {
-        // Build coordinates directly from ordered points; no snapping
-        coordinates = periodLocations
-            .filter(l => l.longitudeE7 && l.latitudeE7)
-            .sort((a, b) => parseInt(a.timestampMs || a.timestamp) - parseInt(b.timestampMs || b.timestamp))
-            .map(l => [l.latitudeE7 / 1e7, l.longitudeE7 / 1e7]);
+    let [a, b] = drawing.points;
+    if (drawing.type === 'rectangle') {
+        if (rejectAntimeridianArea(drawing.points)) return;
+        a = a.wrap();
+        b = b.wrap();
+        finishAreaDrawing({
+            type: 'rectangle',
+            south: Math.min(a.lat, b.lat),
+            west: Math.min(a.lng, b.lng),
+            north: Math.max(a.lat, b.lat),
+            east: Math.max(a.lng, b.lng)
+        });
+    } else {
+        const centre = a.wrap();
+        finishAreaDrawing({
+            type: 'circle',
+            lat: centre.lat,
+            lon: centre.lng,
+            radiusMeters: haversineDistanceMeters(a.lat, a.lng, b.lat, b.lng)
+        });
     }
+}
 
-    // Otherwise try smart snapping (Mapbox first, then OSRM), fallback to raw
-    if (!coordinates || coordinates.length < 2) {
-        coordinates = await snapPathSmart(periodLocations);
-        if (!coordinates) {
-            coordinates = periodLocations
-                .filter(l => l.longitudeE7 && l.latitudeE7)
-                .map(l => [l.latitudeE7 / 1e7, l.longitudeE7 / 1e7]);
-        }
+// Rectangles and polygons are matched on plain longitudes, so one crossing
+// the antimeridian would select everything outside it instead
+function rejectAntimeridianArea(points) {
+    const worlds = new Set(points.map(p => Math.floor((p.lng + 180) / 360)));
+    if (worlds.size === 1) return false;
+    cancelAreaDrawing();
+    showNotification('Areas crossing the 180° meridian are not supported. Draw one on each side instead.', 'error');
+    return true;
+}
+
+function onAreaDrawingMove(event) {
+    if (areaDrawing.points.length > 0) drawAreaPreview(event.latlng);
+}
+
+function onAreaDrawingDoubleClick() {
+    const drawing = areaDrawing;
+    if (drawing.type !== 'polygon') return;
+    if (drawing.points.length < 3) {
+        showNotification('A polygon needs at least three corners', 'error');
+        return;
     }
+    if (rejectAntimeridianArea(drawing.points)) return;
+    finishAreaDrawing({ type: 'polygon', points: drawing.points.map(p => p.wrap()).map(p => ({ lat: p.lat, lon: p.lng })) });
+}
 
-    if (coordinates.length === 0) { map.setView([20, 0], 2); return; }
+function onAreaDrawingKey(event) {
+    if (event.key === 'Escape') {
+        cancelAreaDrawing();
+        showNotification('Area drawing cancelled', 'info');
+    }
+}
 
-    const lineColor = document.getElementById('lineColor').value;
-    const polyline = L.polyline(coordinates, { color: lineColor, weight: 3, opacity: 0.9 }).addTo(map);
-    const bounds = polyline.getBounds();
-    if (bounds && bounds.isValid()) map.fitBounds(bounds, { padding: [30, 30] }); else map.setView(coordinates[0], 14);
-    setTimeout(() => map.invalidateSize(), 0);
+// Shape so far, following the cursor
+function drawAreaPreview(cursor) {
+    const { type, points, preview } = areaDrawing;
+    const style = { color: '#0d6efd', weight: 2, dashArray: '4 4', fillOpacity: 0.05, interactive: false };
+    preview.clearLayers();
+    if (type === 'rectangle') {
+        preview.addLayer(L.rectangle([points[0], cursor], style));
+    } else if (type === 'circle') {
+        preview.addLayer(L.circle(points[0], { ...style, radius: points[0].distanceTo(cursor) }));
+    } else {
+        preview.addLayer(L.polyline([...points, cursor], style));
+    }
+}
 
-    L.marker(coordinates[0]).addTo(map).bindPopup(`Period ${period.id} Start`);
-    if (coordinates.length > 1) L.marker(coordinates[coordinates.length - 1]).addTo(map).bindPopup(`Period ${period.id} End`);
+function finishAreaDrawing(area) {
+    const periodId = areaDrawing.periodId;
+    cancelAreaDrawing();
+    setPeriodArea(periodId, area);
+    showNotification(`Period ${periodId} now only includes points inside the ${area.type}`, 'success');
+}
 
-    currentMapData = { period, coordinates, polyline };
+function cancelAreaDrawing() {
+    if (!areaDrawing) return;
+    areaDrawing.preview.remove();
+    areaDrawing = null;
+    map.off('click', onAreaDrawingClick);
+    map.off('mousemove', onAreaDrawingMove);
+    map.off('dblclick', onAreaDrawingDoubleClick);
+    document.removeEventListener('keydown', onAreaDrawingKey);
+    map.doubleClickZoom.enable();
+    map.getContainer().style.cursor = '';
+}
+
+// Privacy zone circles on the map, redrawn whenever the zones change
+let mapPrivacyZones = null;
+
+function showMapPrivacyZones() {
+    if (!map) return;
+    if (mapPrivacyZones) mapPrivacyZones.remove();
+    mapPrivacyZones = L.layerGroup(privacyZones.map(zone =>
+        L.circle([zone.lat, zone.lon], {
+            radius: zone.radiusMeters,
+            color: '#dc3545',
+            weight: 2,
+            dashArray: '6 4',
+            fillOpacity: 0.1
+        }).bindTooltip(escapeXML(zone.name))
+    )).addTo(map);
+}
+
+// Next click on the map becomes the centre of a new zone with the radius from the Settings tab
+function startDrawingPrivacyZone() {
+    if (!map) {
+        showError('Please load a period on the map first.');
+        return;
+    }
+    const radius = getPrivacyRadiusInput();
+    if (!radius) {
+        showError('Please enter a positive privacy zone radius in the KML Settings tab.');
+        return;
+    }
+    map.getContainer().style.cursor = 'crosshair';
+    showNotification('Click on the map to place the privacy zone', 'info');
+    map.once('click', event => {
+        map.getContainer().style.cursor = '';
+        privacyZones.push(createPrivacyZone(`Zone ${privacyZones.length + 1}`, event.latlng.lat, event.latlng.lng, radius));
+        onPrivacyZonesChange();
+        showNotification('Privacy zone added', 'success');
+    });
 }
 
 // Utility functions
+// Great-circle distance between two lat/lon points in metres
+function haversineDistanceMeters(lat1, lon1, lat2, lon2) {
+    const R = 6371000;
+    const toRad = deg => deg * Math.PI / 180;
+    const dLat = toRad(lat2 - lat1);
+    const dLon = toRad(lon2 - lon1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLon / 2) ** 2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
 function enableTab(tabName) {
     const tabBtn = document.querySelector(`[data-tab="${tabName}"]`);
     if (tabBtn) {
@@ -1314,14 +5606,25 @@ function showError(message) {
 // Update period selector when periods change
 function updatePeriodSelector() {
     const selector = document.getElementById('periodSelector');
+    const previous = selector.value;
     selector.innerHTML = '<option value="">Choose a period...</option>';
     
     periods.forEach(period => {
         const option = document.createElement('option');
         option.value = period.id;
-        option.textContent = `Period ${period.id}: ${period.startDate.toLocaleDateString()} to ${period.endDate.toLocaleDateString()}`;
+        option.textContent = `Period ${period.id}: ${getPeriodLabel(period)}`;
         selector.appendChild(option);
     });
+    if (periods.length > 1) {
+        const option = document.createElement('option');
+        option.value = 'all';
+        option.textContent = 'All periods (overlay)';
+        selector.appendChild(option);
+    }
+    // Keep the selection across rebuilds when it still exists
+    if (previous && selector.querySelector(`option[value="${previous}"]`)) {
+        selector.value = previous;
+    }
     
     loadMapBtn.disabled = periods.length === 0;
 }
@@ -1333,6 +5636,243 @@ renderPeriods = function() {
     updatePeriodSelector();
 };
 
+// Travel modes for per-activity styling. `match` lists substrings of the
+// normalized activityType ("in passenger vehicle", "walking", ...) and `exact`
+// whole types whose words also occur in other modes ("in cablecar" is not a car,
+// "in rail vehicle" is not driving, "motorcycling" is not cycling).
+const ACTIVITY_MODES = [
+    { key: 'walking', label: 'Walking', match: ['walking', 'on foot', 'running', 'hiking'], color: '#2e7d32', width: 3, maxSpeedKmh: 40 },
+    { key: 'cycling', label: 'Cycling', match: ['cycling', 'bicycle'], color: '#00acc1', width: 4, maxSpeedKmh: 80 },
+    { key: 'driving', label: 'Driving', match: ['passenger vehicle', 'driving', 'motorcycl', 'taxi'], exact: ['in vehicle', 'in road vehicle', 'in car', 'car', 'motorcycling'], color: '#1565c0', width: 5, maxSpeedKmh: 250 },
+    { key: 'train', label: 'Train', match: ['train', 'subway', 'tram', 'rail', 'metro'], color: '#6a1b9a', width: 5, maxSpeedKmh: 400 },
+    { key: 'bus', label: 'Bus', match: ['bus'], color: '#ef6c00', width: 5, maxSpeedKmh: 150 },
+    { key: 'flight', label: 'Flight', match: ['flying', 'plane', 'flight'], color: '#c62828', width: 6, maxSpeedKmh: 1200 },
+    { key: 'ferry', label: 'Ferry', match: ['ferry', 'boat', 'sailing'], color: '#00897b', width: 5, maxSpeedKmh: 120 },
+    { key: 'other', label: 'Other / Unknown', match: [], color: '#757575', width: 4, maxSpeedKmh: 500 }
+];
+
+function getActivityMode(activityType) {
+    const type = (activityType || '').toLowerCase();
+    if (!type || type === 'unknown') return null;
+    const mode = ACTIVITY_MODES.find(m => (m.exact || []).includes(type))
+        || ACTIVITY_MODES.find(m => m.match.some(pattern => type.includes(pattern)));
+    return mode ? mode.key : 'other';
+}
+
+// Split a segment into runs of one travel mode. Points without a known mode
+// continue the current run; each run starts on the previous run's last point
+// so the coloured lines stay connected.
+function splitSegmentByActivity(segment) {
+    const runs = [];
+    let current = null;
+    
+    segment.forEach(loc => {
+        const mode = getActivityMode(loc.activityType);
+        if (!current) {
+            current = { mode: mode || 'other', points: [loc] };
+        } else if (mode && mode !== current.mode) {
+            if (current.points.length === 1 && runs.length === 0) {
+                // A lone leading point adopts the first real mode
+                current.mode = mode;
+                current.points.push(loc);
+                return;
+            }
+            runs.push(current);
+            current = { mode, points: [current.points[current.points.length - 1], loc] };
+        } else {
+            current.points.push(loc);
+        }
+    });
+    
+    if (current && current.points.length >= 2) runs.push(current);
+    return runs;
+}
+
+// Current palette: defaults from ACTIVITY_MODES overridden by saved settings
+function getActivityPalette() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem('activityPalette') || '{}');
+    } catch (e) {
+        saved = {};
+    }
+    const palette = {};
+    ACTIVITY_MODES.forEach(mode => {
+        const entry = saved[mode.key] || {};
+        palette[mode.key] = {
+            color: /^#[0-9a-f]{6}$/i.test(entry.color) ? entry.color : mode.color,
+            width: parseInt(entry.width) > 0 ? parseInt(entry.width) : mode.width
+        };
+    });
+    return palette;
+}
+
+// "#rrggbb" -> KML "aabbggrr"
+function hexToKMLColor(hex, alpha = 'ff') {
+    const rr = hex.slice(1, 3);
+    const gg = hex.slice(3, 5);
+    const bb = hex.slice(5, 7);
+    return `${alpha}${bb}${gg}${rr}`.toLowerCase();
+}
+
+// Palette editor in the KML Settings tab
+function initializeActivityPalette() {
+    if (!document.getElementById('activityPalette')) return;
+    
+    renderActivityPalette();
+    document.getElementById('resetActivityPalette').addEventListener('click', () => {
+        localStorage.removeItem('activityPalette');
+        renderActivityPalette();
+        refreshMapAndDownloadSections();
+    });
+}
+
+function renderActivityPalette() {
+    const container = document.getElementById('activityPalette');
+    const palette = getActivityPalette();
+    container.innerHTML = ACTIVITY_MODES.map(mode => `
+        <div class="palette-item">
+            <span class="palette-label">${mode.label}</span>
+            <input type="color" id="paletteColor_${mode.key}" value="${palette[mode.key].color}" title="${mode.label} colour">
+            <input type="number" id="paletteWidth_${mode.key}" value="${palette[mode.key].width}" min="1" max="20" title="${mode.label} line width">
+        </div>
+    `).join('');
+    
+    const savePalette = () => {
+        const next = {};
+        ACTIVITY_MODES.forEach(mode => {
+            next[mode.key] = {
+                color: document.getElementById(`paletteColor_${mode.key}`).value,
+                width: parseInt(document.getElementById(`paletteWidth_${mode.key}`).value) || mode.width
+            };
+        });
+        localStorage.setItem('activityPalette', JSON.stringify(next));
+        refreshMapAndDownloadSections();
+    };
+    
+    container.querySelectorAll('input').forEach(input => input.addEventListener('change', savePalette));
+}
+
+// Track colouring mode from the KML Settings tab: 'single', 'activity' or 'speed'
+function getTrackColoringMode() {
+    const select = document.getElementById('trackColoring');
+    return select ? select.value : 'single';
+}
+
+// Speed colouring: values between min and max are split into SPEED_BINS colour bands
+const SPEED_BINS = 8;
+const SPEED_UNITS = {
+    kmh: { label: 'km/h', factor: 3.6 },
+    mph: { label: 'mph', factor: 2.236936 }
+};
+
+function getSpeedSettings() {
+    const units = SPEED_UNITS[document.getElementById('speedUnits').value] ? document.getElementById('speedUnits').value : 'kmh';
+    let min = parseFloat(document.getElementById('speedMin').value);
+    let max = parseFloat(document.getElementById('speedMax').value);
+    if (!isFinite(min) || min < 0) min = 0;
+    if (!isFinite(max) || max <= min) max = min + 1;
+    return { units, min, max };
+}
+
+// Blue (slow) through green and yellow to red (fast)
+function getSpeedBinColor(bin) {
+    const hue = 240 - (240 * bin) / (SPEED_BINS - 1);
+    return hslToHex(hue, 85, 45);
+}
+
+function getSpeedBinRange(bin, settings) {
+    const step = (settings.max - settings.min) / SPEED_BINS;
+    const round = value => Math.round(value * 10) / 10;
+    return { from: round(settings.min + step * bin), to: bin === SPEED_BINS - 1 ? `${round(settings.max)}+` : round(settings.min + step * (bin + 1)) };
+}
+
+function getSpeedBin(speed, settings) {
+    const ratio = (speed - settings.min) / (settings.max - settings.min);
+    return Math.max(0, Math.min(SPEED_BINS - 1, Math.floor(ratio * SPEED_BINS)));
+}
+
+// Split a segment into runs of consecutive point pairs falling in the same speed band.
+// Speed is computed between consecutive points, in the configured units.
+function splitSegmentBySpeed(segment, settings) {
+    const factor = SPEED_UNITS[settings.units].factor;
+    const runs = [];
+    let current = null;
+    
+    for (let i = 1; i < segment.length; i++) {
+        const a = segment[i - 1];
+        const b = segment[i];
+        const seconds = (parseInt(b.timestampMs || b.timestamp) - parseInt(a.timestampMs || a.timestamp)) / 1000;
+        const meters = haversineDistanceMeters(a.latitudeE7 / 1e7, a.longitudeE7 / 1e7, b.latitudeE7 / 1e7, b.longitudeE7 / 1e7);
+        const speed = seconds > 0 ? (meters / seconds) * factor : 0;
+        const bin = getSpeedBin(speed, settings);
+        
+        if (current && current.bin === bin) {
+            current.points.push(b);
+            current.meters += meters;
+            current.seconds += seconds;
+        } else {
+            current = { bin, points: [a, b], meters, seconds };
+            runs.push(current);
+        }
+    }
+    
+    runs.forEach(run => {
+        run.speed = run.seconds > 0 ? (run.meters / run.seconds) * factor : 0;
+    });
+    return runs;
+}
+
+function hslToHex(h, s, l) {
+    s /= 100;
+    l /= 100;
+    const k = n => (n + h / 30) % 12;
+    const a = s * Math.min(l, 1 - l);
+    const f = n => Math.round(255 * (l - a * Math.max(-1, Math.min(k(n) - 3, Math.min(9 - k(n), 1)))));
+    return '#' + [f(0), f(8), f(4)].map(v => v.toString(16).padStart(2, '0')).join('');
+}
+
+// Show the palette or the speed range inputs for the chosen colouring mode
+function initializeTrackColoring() {
+    const select = document.getElementById('trackColoring');
+    if (!select) return;
+    
+    const updateVisibility = () => {
+        const mode = select.value;
+        document.getElementById('activityPaletteSettings').style.display = mode === 'activity' ? 'block' : 'none';
+        document.getElementById('speedSettings').style.display = mode === 'speed' ? 'block' : 'none';
+    };
+    
+    select.addEventListener('change', () => {
+        updateVisibility();
+        refreshMapAndDownloadSections();
+    });
+    ['speedMin', 'speedMax'].forEach(id => {
+        document.getElementById(id).addEventListener('change', refreshMapAndDownloadSections);
+    });
+    
+    // Keep the range the same speeds in the new unit (120 km/h becomes 74.6 mph).
+    // The unrounded m/s value is remembered so switching back gives 120 again.
+    const unitsSelect = document.getElementById('speedUnits');
+    let previousUnits = unitsSelect.value;
+    const converted = {};
+    unitsSelect.addEventListener('change', () => {
+        const from = SPEED_UNITS[previousUnits] || SPEED_UNITS.kmh;
+        const to = SPEED_UNITS[unitsSelect.value] || SPEED_UNITS.kmh;
+        ['speedMin', 'speedMax'].forEach(id => {
+            const input = document.getElementById(id);
+            const value = parseFloat(input.value);
+            if (!isFinite(value)) return;
+            const mps = converted[id] && converted[id].shown === input.value ? converted[id].mps : value / from.factor;
+            input.value = String(Number((mps * to.factor).toFixed(1)));
+            converted[id] = { shown: input.value, mps };
+        });
+        previousUnits = unitsSelect.value;
+        refreshMapAndDownloadSections();
+    });
+    updateVisibility();
+}
+
 // Segmentation with dynamic gap per transport mode
 function getPairGapThresholdMs(prevLoc, nextLoc) {
     const defaultGap = 30 * 60 * 1000; // 30 min